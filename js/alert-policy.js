@@ -0,0 +1,135 @@
+// ============================================
+// Alert Policy (what to announce, and when to stay quiet)
+// ============================================
+// Pure module, no DOM. Live detection asks it before every spoken or tone
+// alert. Two kinds of alert go through it:
+//
+// - detection: a new hazard track matured in the tracker
+// - nearby:    a previously reported hazard lies ahead on our heading
+//
+// The rate limiter keeps a driver from being nagged: a global gap between
+// any two alerts, a cooldown per hazard class, a cap per minute, and each
+// stored report is announced once per drive (or again after a long while).
+
+import { distanceMeters, bearingDegrees } from './geo.js';
+
+const DEFAULTS = {
+    minGapMs: 4000,                    // Between any two alerts
+    classCooldownMs: 20 * 1000,        // Between detection alerts of the same class
+    maxPerMinute: 6,
+    reportCooldownMs: 10 * 60 * 1000,  // Before the same stored report is announced again
+    aheadAngleDeg: 35,                 // Half-width of the cone in front of us that counts as "ahead"
+};
+
+export class AlertPolicy {
+    /**
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.muted = new Set();
+        this.reset();
+    }
+
+    /**
+     * Forget what was announced; the mute list is kept.
+     */
+    reset() {
+        this.lastAlertAt = null;
+        this.recent = [];              // Alert times in the last minute
+        this.lastByClass = new Map();  // hazard class -> time
+        this.lastByReport = new Map(); // report ID -> time
+    }
+
+    /**
+     * @param {string[]} classes - hazard classes that never alert (any case)
+     */
+    setMuted(classes) {
+        this.muted = new Set((classes || []).map((c) => String(c).toLowerCase()));
+    }
+
+    isMuted(hazardType) {
+        return this.muted.has(String(hazardType).toLowerCase());
+    }
+
+    /**
+     * Whether a newly matured track of `hazardType` should be announced.
+     * Records the alert when it returns true.
+     * @param {number} now - ms, any monotonic clock used consistently
+     */
+    allowDetection(hazardType, now) {
+        if (this.isMuted(hazardType) || !this.withinRate(now)) return false;
+        const last = this.lastByClass.get(hazardType);
+        if (last !== undefined && now - last < this.options.classCooldownMs) return false;
+
+        this.lastByClass.set(hazardType, now);
+        this.record(now);
+        return true;
+    }
+
+    /**
+     * Whether a stored report ahead should be announced. Records it when true.
+     * @param {{ id: string, hazardType: string }} report
+     * @param {number} now
+     */
+    allowNearby(report, now) {
+        if (this.isMuted(report.hazardType) || !this.withinRate(now)) return false;
+        const last = this.lastByReport.get(report.id);
+        if (last !== undefined && now - last < this.options.reportCooldownMs) return false;
+
+        this.lastByReport.set(report.id, now);
+        this.record(now);
+        return true;
+    }
+
+    /**
+     * Don't announce a report as "ahead" (e.g. one we just saved or confirmed).
+     */
+    markAnnounced(reportId, now) {
+        this.lastByReport.set(reportId, now);
+    }
+
+    // ---------- Internals ----------
+    withinRate(now) {
+        if (this.lastAlertAt !== null && now - this.lastAlertAt < this.options.minGapMs) return false;
+        this.recent = this.recent.filter((t) => now - t < 60 * 1000);
+        return this.recent.length < this.options.maxPerMinute;
+    }
+
+    record(now) {
+        this.lastAlertAt = now;
+        this.recent.push(now);
+    }
+}
+
+/**
+ * Reports in front of us within `radiusM`, nearest first. Without a heading
+ * (GPS hasn't seen us move yet) nothing counts as ahead.
+ * @param {{ lat: number, lng: number, heading: number|null }} position
+ * @param {{ report: object, distance?: number }[]|object[]} reports - normalized reports
+ *   (anything with `coordinate: { lat, lng }`), optionally wrapped as findReportsNear returns them
+ * @param {{ radiusM: number, aheadAngleDeg?: number }} options
+ * @returns {{ report: object, distance: number, bearing: number }[]}
+ */
+export function hazardsAhead(position, reports, { radiusM, aheadAngleDeg = DEFAULTS.aheadAngleDeg }) {
+    if (position.heading === null || position.heading === undefined) return [];
+
+    const ahead = [];
+    for (const entry of reports) {
+        const report = entry.report || entry;
+        if (!report.coordinate || report.status === 'fixed') continue;
+
+        const distance = distanceMeters(position, report.coordinate);
+        if (distance > radiusM) continue;
+        const bearing = bearingDegrees(position, report.coordinate);
+        if (angleBetween(bearing, position.heading) > aheadAngleDeg) continue;
+        ahead.push({ report, distance, bearing });
+    }
+    return ahead.sort((a, b) => a.distance - b.distance);
+}
+
+// Smallest difference between two compass bearings, 0..180
+function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
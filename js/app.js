@@ -3,6 +3,7 @@
 // ============================================
 
 import { auth, onAuthStateChanged } from '../firebase-config.js';
+import { startQueueProcessor } from './report-queue.js';
 
 // ---------- Router ----------
 const routes = {
@@ -85,6 +86,9 @@ onAuthStateChanged(auth, (user) => {
     const hash = window.location.hash.replace('#', '');
 
     if (user) {
+        // Upload any reports that were queued on this device while offline
+        startQueueProcessor();
+
         // User is signed in – go to requested page or dashboard
         const protectedRoutes = ['dashboard', 'upload', 'live-detection', 'settings'];
         if (protectedRoutes.includes(hash)) {
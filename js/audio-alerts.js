@@ -0,0 +1,97 @@
+// ============================================
+// Audio Alerts (speech and tones)
+// ============================================
+// Plays hands-free alerts on the Live page: a spoken phrase through
+// SpeechSynthesis, or a short tone through the Web Audio API. Browsers only
+// allow audio after a user gesture, so call unlock() from a tap (Start).
+// Deciding whether an alert should play at all is up to AlertPolicy.
+
+const TONES = {
+    detection: [880, 1175],  // Rising pair: new hazard in view
+    nearby: [660, 660],      // Even pair: reported hazard ahead
+};
+const TONE_MS = 140;
+const TONE_GAP_MS = 60;
+
+export class AudioAlerts {
+    constructor() {
+        this.mode = 'off'; // 'off' | 'tone' | 'voice'
+        this.audioContext = null;
+    }
+
+    /**
+     * @param {'off'|'tone'|'voice'} mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Create / resume the audio context. Must run inside a user gesture.
+     */
+    unlock() {
+        if (this.mode === 'off') return;
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!this.audioContext && AudioContextClass) this.audioContext = new AudioContextClass();
+            if (this.audioContext?.state === 'suspended') this.audioContext.resume();
+        } catch (err) {
+            console.warn('[Alerts] Web Audio unavailable:', err);
+        }
+        // An empty utterance in the gesture lets later speech play on iOS
+        if (this.mode === 'voice' && window.speechSynthesis) {
+            window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+        }
+    }
+
+    /**
+     * Play an alert in the current mode.
+     * @param {'detection'|'nearby'} kind - picks the tone
+     * @param {string} text - spoken in voice mode
+     */
+    play(kind, text) {
+        if (this.mode === 'voice' && window.speechSynthesis) {
+            this.speak(text);
+        } else if (this.mode !== 'off') {
+            this.tone(TONES[kind] || TONES.detection);
+        }
+    }
+
+    // ---------- Internals ----------
+    speak(text) {
+        const synth = window.speechSynthesis;
+        // A stale phrase about a hazard we already passed is worse than none
+        if (synth.speaking) synth.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = 1.05;
+        synth.speak(utterance);
+    }
+
+    tone(frequencies) {
+        const ctx = this.audioContext;
+        if (!ctx || ctx.state !== 'running') return;
+
+        let start = ctx.currentTime;
+        frequencies.forEach((frequency) => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+
+            // Short fade in / out so the beep doesn't click
+            const end = start + TONE_MS / 1000;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(0.4, start + 0.01);
+            gain.gain.linearRampToValueAtTime(0, end);
+
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(start);
+            oscillator.stop(end);
+            start = end + TONE_GAP_MS / 1000;
+        });
+    }
+}
@@ -0,0 +1,35 @@
+// ============================================
+// Cloudinary Image Upload
+// ============================================
+// Image storage adapter (see image-storage.js) for IMAGE_STORAGE=cloudinary.
+
+export const cloudinaryStorage = {
+    name: 'cloudinary',
+    upload: uploadToCloudinary,
+};
+
+export async function uploadToCloudinary(blob, filename = 'hazard.jpg') {
+    const cloudName = window.ENV?.CLOUDINARY_CLOUD_NAME;
+    const uploadPreset = window.ENV?.CLOUDINARY_UPLOAD_PRESET;
+
+    if (!cloudName || !uploadPreset) {
+        throw new Error('Cloudinary config missing in .env file');
+    }
+
+    const url = `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`;
+    const formData = new FormData();
+    formData.append('file', blob, filename);
+    formData.append('upload_preset', uploadPreset);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        body: formData
+    });
+
+    if (!response.ok) {
+        throw new Error('Failed to upload image to Cloudinary');
+    }
+
+    const data = await response.json();
+    return data.secure_url;
+}
@@ -2,28 +2,63 @@
 // Dashboard Module (Map + Report Log)
 // ============================================
 
-import { auth, db } from '../firebase-config.js';
+import { auth } from '../firebase-config.js';
 import { navigateTo, showToast } from './app.js';
-import {
-    collection,
-    query,
-    where,
-    orderBy,
-    onSnapshot
-} from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
 import { signOut } from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-auth.js';
+import { countPending, QUEUE_CHANGED_EVENT } from './report-queue.js';
+import { compareReportIds, formatReportId, subscribeToUserReports } from './report-repository.js';
+import { subscribeToUserSessions } from './session-repository.js';
+import { countSessionHazards } from './drive-session.js';
+import { drawDetections, fromStoredDetections } from './detection-overlay.js';
+import { compareSeverity } from './severity.js';
 
 let unsubscribe = null; // Firestore listener
+let unsubscribeSessions = null;
 let map = null;
 let markers = [];
+let pendingListenerAdded = false;
+let latestReports = [];
+let sessions = [];
+let selectedSessionId = null;
+let routeOverlays = []; // Polyline + hazard pins of the selected drive
+let showModalBoxes = true; // Boxes redrawn over the raw photo in the image modal
+let reportSort = 'severity'; // 'severity' | 'newest'
+let reportsError = null; // Why (some) reports couldn't be loaded
 
 export function init() {
     setupLogout();
     setupImageModal();
+    setupPendingBadge();
+    setupReportSort();
     loadReports();
+    loadSessions();
+    setupDriveSummary();
     initMap();
 }
 
+// ---------- Pending Uploads Badge ----------
+function setupPendingBadge() {
+    updatePendingBadge();
+    if (!pendingListenerAdded) {
+        window.addEventListener(QUEUE_CHANGED_EVENT, updatePendingBadge);
+        pendingListenerAdded = true;
+    }
+}
+
+async function updatePendingBadge() {
+    const badge = document.getElementById('pending-uploads-badge');
+    const countEl = document.getElementById('pending-uploads-count');
+    if (!badge || !countEl) return;
+
+    try {
+        const pending = await countPending();
+        countEl.textContent = pending;
+        badge.classList.toggle('hidden', pending === 0);
+    } catch (err) {
+        console.warn('[Dashboard] Could not read pending uploads:', err);
+    }
+}
+
 // ---------- Logout ----------
 function setupLogout() {
     const logoutBtn = document.getElementById('logout-btn');
@@ -31,6 +66,7 @@ function setupLogout() {
         logoutBtn.addEventListener('click', async () => {
             try {
                 if (unsubscribe) unsubscribe();
+                if (unsubscribeSessions) unsubscribeSessions();
                 await signOut(auth);
                 showToast('Signed out', 'info');
             } catch (err) {
@@ -62,38 +98,81 @@ function loadReports() {
     const user = auth.currentUser;
     if (!user) return;
 
-    const reportsList = document.getElementById('reports-list');
-    const reportsCount = document.getElementById('reports-count');
-
-    const username = user.displayName || user.email || 'Unknown User';
+    if (unsubscribe) unsubscribe();
+    reportsError = null;
+    unsubscribe = subscribeToUserReports(user, (reports) => {
+        latestReports = reports;
+        renderReports(reports);
+
+        // Update map markers (unless a drive's route is on the map)
+        if (!selectedSessionId) updateMapMarkers(reports);
+    }, (err, source) => {
+        console.error(`[Dashboard] Firestore listener error (${source} reports):`, err);
+        reportsError = describeListenerError(err, source);
+        renderReports(latestReports);
+    });
+}
 
-    const q = query(
-        collection(db, 'reports'),
-        where('reportedBy', '==', username)
-    );
+function describeListenerError(err, source) {
+    const which = source === 'legacy' ? 'Older reports' : 'Reports';
+    if (err.code === 'permission-denied') return `${which} could not be loaded: permission denied.`;
+    if (err.code === 'failed-precondition') {
+        return `${which} could not be loaded: the query needs a Firestore index (see the browser console).`;
+    }
+    return `${which} could not be loaded: ${err.message}`;
+}
 
-    unsubscribe = onSnapshot(q, (snapshot) => {
-        const reports = [];
-        snapshot.forEach((doc) => reports.push({ docId: doc.id, ...doc.data() }));
+function renderReportsError() {
+    if (!reportsError) return '';
+    return `
+          <div class="flex items-start gap-2 p-3 rounded-lg bg-danger/10 border border-danger/30 text-sm text-danger">
+            <span>⚠️</span><span>${reportsError}</span>
+          </div>`;
+}
 
-        // Sort by id descending: newest (highest id) at the top of the list
-        reports.sort((a, b) => (b.id || 0) - (a.id || 0));
+// ---------- Report Sorting ----------
+function setupReportSort() {
+    const select = document.getElementById('reports-sort');
+    if (!select) return;
+    select.value = reportSort;
+    select.addEventListener('change', () => {
+        reportSort = select.value;
+        renderReports(latestReports);
+    });
+}
 
-        const reportsCount = document.getElementById('reports-count');
-        const newCount = document.getElementById('new-count');
-        const inProgressCount = document.getElementById('pending-count');
-        const fixedCount = document.getElementById('fixed-count');
+// Worst first (then newest) for crews working through the list, or newest first
+function sortReports(reports) {
+    // Newest capture first; reports without a usable date fall back to ID order
+    const byDate = (a, b) =>
+        (b.capturedAt?.getTime() || 0) - (a.capturedAt?.getTime() || 0) || compareReportIds(a.id, b.id);
+    if (reportSort === 'newest') return [...reports].sort(byDate);
+    return [...reports].sort((a, b) => compareSeverity(a.severity, b.severity) || byDate(a, b));
+}
 
-        // Update count
-        if (reportsCount) reportsCount.textContent = reports.length;
-        if (newCount) newCount.textContent = reports.filter(r => r.status === 'new').length;
-        if (inProgressCount) inProgressCount.textContent = reports.filter(r => r.status === 'in-progress').length;
-        if (fixedCount) fixedCount.textContent = reports.filter(r => r.status === 'fixed').length;
+function renderReports(allReports) {
+    const reportsList = document.getElementById('reports-list');
+    const reports = sortReports(allReports);
 
-        // Render list
-        if (reportsList) {
-            if (reports.length === 0) {
-                reportsList.innerHTML = `
+    const reportsCount = document.getElementById('reports-count');
+    const newCount = document.getElementById('new-count');
+    const inProgressCount = document.getElementById('pending-count');
+    const fixedCount = document.getElementById('fixed-count');
+
+    // Update count
+    if (reportsCount) reportsCount.textContent = reports.length;
+    if (newCount) newCount.textContent = reports.filter(r => r.status === 'new').length;
+    if (inProgressCount) inProgressCount.textContent = reports.filter(r => r.status === 'in-progress').length;
+    if (fixedCount) fixedCount.textContent = reports.filter(r => r.status === 'fixed').length;
+
+    // Render list
+    if (!reportsList) return;
+    if (reports.length === 0 && reportsError) {
+        reportsList.innerHTML = renderReportsError();
+        return;
+    }
+    if (reports.length === 0) {
+        reportsList.innerHTML = `
           <div class="text-center py-12 text-dark-400">
             <svg class="w-12 h-12 mx-auto mb-3 opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/>
@@ -101,14 +180,17 @@ function loadReports() {
             <p>No reports yet</p>
             <p class="text-sm mt-1">Upload an image or use live detection to create your first report</p>
           </div>`;
-            } else {
-                reportsList.innerHTML = `
+        return;
+    }
+
+    reportsList.innerHTML = `${renderReportsError()}
                 <div class="w-full overflow-x-auto">
-                    <table class="w-full text-left border-collapse min-w-[700px]">
+                    <table class="w-full text-left border-collapse min-w-[760px]">
                         <thead>
                             <tr class="border-b border-white/10 text-dark-400 text-xs uppercase tracking-wider">
                                 <th class="py-3 px-4 font-medium">ID</th>
                                 <th class="py-3 px-4 font-medium">Hazard Type</th>
+                                <th class="py-3 px-4 font-medium">Severity</th>
                                 <th class="py-3 px-4 font-medium">Location</th>
                                 <th class="py-3 px-4 font-medium">Date</th>
                                 <th class="py-3 px-4 font-medium text-center">Image</th>
@@ -122,53 +204,233 @@ function loadReports() {
                     </table>
                 </div>`;
 
-                // Add click listeners for images
-                document.querySelectorAll('.report-img-clickable').forEach(img => {
-                    img.addEventListener('click', (e) => {
-                        openImageModal(e.target.src);
-                    });
-                });
-            }
-        }
-
-        // Update map markers
-        updateMapMarkers(reports);
-    }, (err) => {
-        console.error('[Dashboard] Firestore listener error:', err);
+    // Add click listeners for images
+    document.querySelectorAll('.report-img-clickable').forEach(img => {
+        img.addEventListener('click', (e) => {
+            const report = reports.find((r) => r.docId === e.target.dataset.docId);
+            openImageModal(e.target.src, report);
+        });
     });
 }
 
 function renderReportRow(report) {
-    const dateStr = typeof report.date === 'string' ? report.date : (report.date?.toDate?.() ? report.date.toDate().toLocaleDateString() : '—');
-    const statusClass = `badge-${report.status?.replace(' ', '-') || 'new'}`;
+    const dateStr = report.capturedAt ? formatReportDate(report.capturedAt) : '—';
+    const statusClass = `badge-${report.status}`;
 
     return `
     <tr class="hover:bg-white/5 transition-colors group">
-      <td class="py-3 px-4 text-sm whitespace-nowrap">#${report.id || '-'}</td>
-      <td class="py-3 px-4 text-sm whitespace-nowrap">${report.hazardType || 'Unknown'}</td>
-      <td class="py-3 px-4 text-sm max-w-[200px] truncate" title="${report.address || ''}">${report.address || 'No address'}</td>
+      <td class="py-3 px-4 text-sm whitespace-nowrap">${formatReportId(report.id)}</td>
+      <td class="py-3 px-4 text-sm whitespace-nowrap">
+        ${report.hazardType}
+        ${report.confirmations > 1 ? `<span class="text-xs text-dark-400" title="Reported ${report.confirmations} times">×${report.confirmations}</span>` : ''}
+      </td>
+      <td class="py-3 px-4">
+        ${report.severity ? `<span class="badge badge-severity-${report.severity}">${report.severity}</span>` : '<span class="text-dark-500 text-sm">—</span>'}
+      </td>
+      <td class="py-3 px-4 text-sm max-w-[200px] truncate" title="${report.address || ''}${report.locationSource === 'manual' ? ' (location set by hand)' : ''}">
+        ${report.locationSource === 'manual' ? '<span class="text-warning">✎</span>' : ''}
+        ${report.address || 'No address'}
+      </td>
       <td class="py-3 px-4 text-sm whitespace-nowrap text-dark-400">${dateStr}</td>
       <td class="py-3 px-4 flex justify-center">
         <img
           src="${report.imageUrl || 'assets/icons/icon-192.png'}"
           alt="Hazard"
+          data-doc-id="${report.docId}"
           class="w-12 h-12 rounded-lg object-cover flex-shrink-0 cursor-pointer report-img-clickable hover:opacity-80 transition-opacity"
           loading="lazy"
         />
       </td>
       <td class="py-3 px-4">
-        <span class="badge ${statusClass}">${report.status || 'new'}</span>
+        <span class="badge ${statusClass}">${report.status}</span>
       </td>
-      <td class="py-3 px-4 text-sm font-medium whitespace-nowrap">${report.reportedBy || 'Unknown'}</td>
+      <td class="py-3 px-4 text-sm font-medium whitespace-nowrap">${report.reporterName || 'Unknown'}</td>
     </tr>`;
 }
 
+// dd/mm/yy hh:mm in the viewer's local time
+function formatReportDate(date) {
+    const dd = String(date.getDate()).padStart(2, '0');
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const yy = String(date.getFullYear()).slice(-2);
+    const hh = String(date.getHours()).padStart(2, '0');
+    const min = String(date.getMinutes()).padStart(2, '0');
+    return `${dd}/${mm}/${yy} ${hh}:${min}`;
+}
+
+// ---------- Drive Sessions ----------
+function loadSessions() {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    if (unsubscribeSessions) unsubscribeSessions();
+    selectedSessionId = null;
+    unsubscribeSessions = subscribeToUserSessions(user, (list) => {
+        sessions = list;
+        renderSessions();
+    }, (err) => {
+        console.error('[Dashboard] Sessions listener error:', err);
+    });
+}
+
+function renderSessions() {
+    const list = document.getElementById('drives-list');
+    if (!list) return;
+
+    if (sessions.length === 0) {
+        list.innerHTML = `
+          <div class="text-center py-6 text-dark-400 text-sm">
+            <p>No drives recorded yet</p>
+            <p class="text-xs mt-1">Start and stop live detection to record a drive</p>
+          </div>`;
+        return;
+    }
+
+    list.innerHTML = sessions.map((s) => `
+      <button data-session-id="${s.docId}"
+        class="w-full text-left glass-card px-4 py-3 flex items-center justify-between gap-3 hover:bg-white/5 transition-colors ${s.docId === selectedSessionId ? 'ring-1 ring-primary-500' : ''}">
+        <div>
+          <p class="text-sm font-medium">${s.startedAt ? formatReportDate(s.startedAt) : '—'}</p>
+          <p class="text-xs text-dark-400">${formatDistance(s.distanceM)} · ${formatDuration(s.durationMs)} · ${s.framesProcessed} frames</p>
+        </div>
+        <span class="badge badge-new whitespace-nowrap">${countSessionHazards(s)} hazard(s)</span>
+      </button>`).join('');
+
+    list.querySelectorAll('[data-session-id]').forEach((btn) => {
+        btn.addEventListener('click', () => selectSession(btn.dataset.sessionId));
+    });
+}
+
+function setupDriveSummary() {
+    const closeBtn = document.getElementById('drive-summary-close');
+    if (closeBtn) closeBtn.addEventListener('click', () => selectSession(null));
+}
+
+// Show one drive's route and hazards instead of all reports (null = back to reports)
+function selectSession(sessionId) {
+    selectedSessionId = sessionId;
+    const session = sessions.find((s) => s.docId === sessionId) || null;
+    if (!session) selectedSessionId = null;
+
+    renderSessions();
+    renderDriveSummary(session);
+
+    clearRouteOverlays();
+    if (!session) {
+        updateMapMarkers(latestReports);
+        return;
+    }
+    markers.forEach((m) => m.setMap(null));
+    markers = [];
+    drawSessionRoute(session);
+}
+
+function renderDriveSummary(session) {
+    const panel = document.getElementById('drive-summary');
+    const content = document.getElementById('drive-summary-content');
+    if (!panel || !content) return;
+
+    if (!session) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const classes = Object.keys({ ...session.detectedByClass, ...session.savedByClass });
+    const perClass = classes.length === 0
+        ? '<p class="text-dark-400">No hazards detected</p>'
+        : classes.map((c) => `<p><span class="font-medium">${c}</span>: ${session.detectedByClass[c] || 0} detected, ${session.savedByClass[c] || 0} reported</p>`).join('');
+
+    content.innerHTML = `
+      <p class="font-semibold">Drive ${session.startedAt ? formatReportDate(session.startedAt) : ''}</p>
+      <p class="text-dark-400">${formatDistance(session.distanceM)} · ${formatDuration(session.durationMs)} · ${session.framesProcessed} frames processed</p>
+      ${perClass}`;
+    panel.classList.remove('hidden');
+}
+
+function drawSessionRoute(session) {
+    if (!map) return;
+    const bounds = new google.maps.LatLngBounds();
+
+    if (session.route.length > 0) {
+        const polyline = new google.maps.Polyline({
+            path: session.route,
+            map,
+            strokeColor: '#3b82f6',
+            strokeOpacity: 0.9,
+            strokeWeight: 4,
+        });
+        routeOverlays.push(polyline);
+        session.route.forEach((p) => bounds.extend(p));
+    }
+
+    session.hazards.forEach((h) => {
+        if (!Number.isFinite(h.lat) || !Number.isFinite(h.lng)) return;
+        const marker = new google.maps.Marker({
+            position: { lat: h.lat, lng: h.lng },
+            map,
+            title: h.hazardType,
+            icon: {
+                path: google.maps.SymbolPath.CIRCLE,
+                scale: 7,
+                fillColor: '#f59e0b',
+                fillOpacity: 0.95,
+                strokeColor: '#fff',
+                strokeWeight: 2,
+            },
+        });
+        const infoWindow = new google.maps.InfoWindow({
+            content: `
+        <div style="color:#1e293b;font-family:Inter,sans-serif;max-width:200px">
+          <strong>${h.hazardType}</strong><br/>
+          <span style="font-size:12px;color:#64748b">${h.reportId ? formatReportId(h.reportId) : 'Queued offline'}${h.status === 'confirmed' ? ' (confirmed existing)' : ''}</span>
+        </div>`,
+        });
+        marker.addListener('click', () => infoWindow.open(map, marker));
+        routeOverlays.push(marker);
+        bounds.extend(marker.getPosition());
+    });
+
+    if (!bounds.isEmpty()) map.fitBounds(bounds, 60);
+}
+
+function clearRouteOverlays() {
+    routeOverlays.forEach((o) => o.setMap(null));
+    routeOverlays = [];
+}
+
+function formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
 // ---------- Image Modal ----------
-function openImageModal(src) {
+// Reports with stored detections open on the raw photo, with the boxes
+// redrawn on a canvas over it so they can be switched off; older reports
+// only have the photo with the boxes burned in.
+function openImageModal(src, report = null) {
     const modal = document.getElementById('image-modal');
     const modalImg = document.getElementById('modal-image');
+    const boxesCanvas = document.getElementById('modal-boxes');
+    const boxesBtn = document.getElementById('modal-boxes-btn');
     if (modal && modalImg) {
-        modalImg.src = src;
+        const redraw = Boolean(report?.rawImageUrl && report.detections.length > 0);
+        boxesCanvas?.classList.add('hidden');
+        boxesBtn?.classList.toggle('hidden', !redraw);
+
+        modalImg.onload = redraw ? () => drawModalBoxes(report.detections) : null;
+        // Raw photo unavailable: fall back to the annotated one
+        modalImg.onerror = redraw ? () => {
+            modalImg.onload = null;
+            modalImg.onerror = null;
+            boxesBtn?.classList.add('hidden');
+            modalImg.src = src;
+        } : null;
+        modalImg.src = redraw ? report.rawImageUrl : src;
         modal.classList.remove('hidden');
         // Small delay for transition
         setTimeout(() => {
@@ -177,16 +439,45 @@ function openImageModal(src) {
     }
 }
 
+// Boxes at the photo's natural size; CSS scales the canvas with the image
+function drawModalBoxes(detections) {
+    const img = document.getElementById('modal-image');
+    const canvas = document.getElementById('modal-boxes');
+    if (!img || !canvas) return;
+
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawDetections(ctx, fromStoredDetections(detections, img.naturalWidth, img.naturalHeight), img.naturalWidth);
+    updateModalBoxes();
+}
+
+function updateModalBoxes() {
+    document.getElementById('modal-boxes')?.classList.toggle('hidden', !showModalBoxes);
+    const btn = document.getElementById('modal-boxes-btn');
+    if (btn) btn.textContent = showModalBoxes ? 'Hide boxes' : 'Show boxes';
+}
+
 function setupImageModal() {
     const modal = document.getElementById('image-modal');
     const closeBtn = document.getElementById('close-modal-btn');
 
+    document.getElementById('modal-boxes-btn')?.addEventListener('click', () => {
+        showModalBoxes = !showModalBoxes;
+        updateModalBoxes();
+    });
+
     if (modal && closeBtn) {
         const closeModal = () => {
             modal.classList.add('opacity-0');
             setTimeout(() => {
                 modal.classList.add('hidden');
-                document.getElementById('modal-image').src = '';
+                const modalImg = document.getElementById('modal-image');
+                modalImg.onload = null;
+                modalImg.onerror = null;
+                modalImg.src = '';
+                document.getElementById('modal-boxes')?.classList.add('hidden');
             }, 300);
         };
 
@@ -205,20 +496,22 @@ function updateMapMarkers(reports) {
     markers.forEach((m) => m.setMap(null));
     markers = [];
 
-    reports.forEach((r) => {
+    // Worst hazards drawn last, so they sit on top of nearby ones
+    const ordered = [...reports].sort((a, b) => compareSeverity(b.severity, a.severity));
+    ordered.forEach((r, index) => {
         if (!r.coordinate) return;
-        const lat = r.coordinate.lat || r.coordinate.latitude;
-        const lng = r.coordinate.lng || r.coordinate.longitude;
-        if (!lat || !lng) return;
+        const { lat, lng } = r.coordinate;
+        const style = getMarkerStyle(r);
 
         const marker = new google.maps.Marker({
             position: { lat, lng },
             map,
-            title: r.hazardType || 'Hazard',
+            title: r.severity ? `${r.hazardType || 'Hazard'} (${r.severity})` : (r.hazardType || 'Hazard'),
+            zIndex: index,
             icon: {
                 path: google.maps.SymbolPath.CIRCLE,
-                scale: 8,
-                fillColor: getStatusColor(r.status),
+                scale: style.scale,
+                fillColor: style.color,
                 fillOpacity: 0.9,
                 strokeColor: '#fff',
                 strokeWeight: 2,
@@ -228,7 +521,7 @@ function updateMapMarkers(reports) {
         const infoWindow = new google.maps.InfoWindow({
             content: `
         <div style="color:#1e293b;font-family:Inter,sans-serif;max-width:200px">
-          <strong>${r.hazardType}</strong><br/>
+          <strong>${r.hazardType}</strong>${r.severity ? ` · ${r.severity} severity` : ''}${r.confirmations > 1 ? ` <span style="font-size:12px;color:#64748b">(confirmed ${r.confirmations}×)</span>` : ''}<br/>
           <span style="font-size:12px;color:#64748b">${r.address || ''}</span>
         </div>`,
         });
@@ -245,6 +538,19 @@ function updateMapMarkers(reports) {
     }
 }
 
+// Open hazards are colored and sized by severity; fixed ones stay green,
+// and reports from before severity was stored keep their status color
+const SEVERITY_MARKERS = {
+    high: { color: '#ef4444', scale: 10 },
+    medium: { color: '#f59e0b', scale: 8 },
+    low: { color: '#38bdf8', scale: 7 },
+};
+
+function getMarkerStyle(report) {
+    if (report.status !== 'fixed' && SEVERITY_MARKERS[report.severity]) return SEVERITY_MARKERS[report.severity];
+    return { color: getStatusColor(report.status), scale: 8 };
+}
+
 function getStatusColor(status) {
     switch (status) {
         case 'fixed': return '#22c55e';
@@ -0,0 +1,86 @@
+// ============================================
+// Detection Overlay (boxes on report images)
+// ============================================
+// Draws detection boxes on a canvas, and converts boxes between image
+// pixels (what the worker returns) and the normalized 0-1 form stored on
+// reports, so the dashboard can redraw them over the raw photo at any size.
+
+const BOX_COLOR = '#22c55e';
+
+/**
+ * Draw detection boxes and labels, scaled for the image size.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ label: string, score: number, bbox: number[] }[]} detections - in image pixels
+ * @param {number} imageWidth - width the boxes are relative to
+ * @param {number} [scale] - drawing scale (canvas px per image px)
+ */
+export function drawDetections(ctx, detections, imageWidth, scale = 1) {
+    // Dynamically scale line width and font size for large images
+    const scaleFactor = Math.max(imageWidth / 600, 1) * scale;
+
+    detections.forEach((det) => {
+        const [x, y, w, h] = det.bbox.map((v) => v * scale);
+        ctx.strokeStyle = BOX_COLOR;
+        ctx.lineWidth = 4 * scaleFactor;
+        ctx.strokeRect(x, y, w, h);
+
+        // Label
+        ctx.fillStyle = BOX_COLOR;
+        const fontSize = Math.floor(16 * scaleFactor);
+        ctx.font = `bold ${fontSize}px Inter`;
+        const label = `${det.label} ${(det.score * 100).toFixed(0)}%`;
+        const textWidth = ctx.measureText(label).width;
+
+        const padX = 8 * scaleFactor;
+        const padY = 6 * scaleFactor;
+        const boxHeight = fontSize + padY * 2;
+
+        ctx.fillRect(x, y - boxHeight, textWidth + padX * 2, boxHeight);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(label, x + padX, y - padY);
+    });
+}
+
+/**
+ * A same-size copy of an image with its detection boxes drawn in, for the
+ * annotated copy uploaded next to the raw one.
+ * @param {HTMLCanvasElement} source - the raw image
+ * @param {{ label: string, score: number, bbox: number[] }[]} detections - in image pixels
+ * @returns {HTMLCanvasElement}
+ */
+export function annotateImage(source, detections) {
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0);
+    drawDetections(ctx, detections, canvas.width);
+    return canvas;
+}
+
+/**
+ * Worker detections -> the `detections` field of a report.
+ * @param {{ label: string, score: number, bbox: number[] }[]} detections - [x, y, w, h] in image pixels
+ * @param {number} width - image width the boxes are relative to
+ * @param {number} height
+ * @returns {{ label: string, score: number, bbox: number[] }[]} bbox as fractions of the image size
+ */
+export function toStoredDetections(detections, width, height) {
+    const round = (v, digits) => Number(v.toFixed(digits));
+    return detections.map((det) => ({
+        label: det.label,
+        score: round(det.score, 3),
+        bbox: [det.bbox[0] / width, det.bbox[1] / height, det.bbox[2] / width, det.bbox[3] / height]
+            .map((v) => round(Math.min(Math.max(v, 0), 1), 4)),
+    }));
+}
+
+/**
+ * A report's stored detections in pixels of an image of the given size.
+ */
+export function fromStoredDetections(stored, width, height) {
+    return stored.map((det) => ({
+        ...det,
+        bbox: [det.bbox[0] * width, det.bbox[1] * height, det.bbox[2] * width, det.bbox[3] * height],
+    }));
+}
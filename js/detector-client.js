@@ -0,0 +1,246 @@
+// ============================================
+// Detection Worker Client (promise-based)
+// ============================================
+// Wraps js/worker.js so pages never talk to the worker directly.
+// Every request carries a requestId; the worker echoes it back on
+// the matching result or error, so responses can't be mixed up.
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const PRIVACY_TIMEOUT_MS = 60000; // The privacy model is downloaded on first use
+const MODEL_INFO_KEY = 'hazard-model-info';
+// Debug: localStorage['hazard-debug-decode'] = 'js' runs the worker's old JS-side decode
+const DEBUG_DECODE_KEY = 'hazard-debug-decode';
+
+/**
+ * Backend / warm-up info from the most recent model load on this device,
+ * for pages that don't run a worker themselves (Settings).
+ * @returns {{ backend: string, warmupMs: number, skippedBackends: object[], loadedAt: number }|null}
+ */
+export function getLastModelInfo() {
+    try {
+        return JSON.parse(localStorage.getItem(MODEL_INFO_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Model version for display: export timestamps ('2026-02-20T22:35:37.22')
+ * read better as 'dd/mm/yy hh:mm'; anything else is shown as is.
+ */
+export function formatModelVersion(version) {
+    const date = new Date(version);
+    if (Number.isNaN(date.getTime())) return version;
+    const dd = String(date.getDate()).padStart(2, '0');
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const yy = String(date.getFullYear()).slice(-2);
+    const hh = String(date.getHours()).padStart(2, '0');
+    const min = String(date.getMinutes()).padStart(2, '0');
+    return `${dd}/${mm}/${yy} ${hh}:${min}`;
+}
+
+function withDebugFlags(scriptUrl) {
+    try {
+        if (localStorage.getItem(DEBUG_DECODE_KEY) === 'js') return `${scriptUrl}?decode=js`;
+    } catch { /* storage unavailable */ }
+    return scriptUrl;
+}
+
+export class DetectorClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.scriptUrl] - worker script
+     * @param {(status: string) => void} [options.onStatus] - progress text from the worker
+     */
+    constructor({ scriptUrl = 'js/worker.js', onStatus = null } = {}) {
+        this.worker = new Worker(withDebugFlags(scriptUrl));
+        this.pending = new Map(); // requestId -> { resolve, reject, timer, cleanup, onProgress, startTimer }
+        this.nextRequestId = 1;
+        this.onStatus = onStatus;
+        this.modelInfo = null; // `model-loaded` payload once ready
+        this.terminated = false;
+
+        this.readyPromise = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        // Avoid unhandled-rejection noise when nobody awaits ready()
+        this.readyPromise.catch(() => { });
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            const err = new Error(e.message || 'Detection worker crashed');
+            this.rejectReady(err);
+            this.rejectAll(err);
+        };
+
+        this.worker.postMessage({ type: 'load-model' });
+    }
+
+    /**
+     * Resolves with the `model-loaded` payload once the model is usable;
+     * rejects if loading failed.
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Push runtime detection settings (thresholds, IoU, max detections).
+     * @returns {Promise<object>} the configuration the worker applied
+     */
+    configure(config) {
+        return this.request({ type: 'configure', config });
+    }
+
+    /**
+     * Run detection on an ImageBitmap. The bitmap is transferred to the worker.
+     * @param {ImageBitmap} image
+     * @param {object} [options]
+     * @param {number} [options.timeout] - ms before the request is rejected
+     * @param {AbortSignal} [options.signal] - cancels the request
+     * @param {{ tileSize: number, overlap: number }} [options.tiling] - sliced inference for
+     *   high-resolution photos; the timeout then applies to each pass rather than the whole request
+     * @param {(progress: { done: number, total: number }) => void} [options.onProgress] - passes
+     *   finished so far (sliced inference only)
+     * @returns {Promise<{ requestId: number, detections: object[], letterbox: object, timings: object }>}
+     */
+    detect(image, { timeout = DEFAULT_TIMEOUT_MS, signal, tiling = null, onProgress = null } = {}) {
+        return this.request(
+            { type: 'detect', image, tiling },
+            { timeout, signal, transfer: [image], onProgress }
+        );
+    }
+
+    /**
+     * Find faces and licence plates with the worker's privacy model (loaded
+     * on first use), for blurring before upload. The bitmap is transferred.
+     * Rejects if the privacy model isn't available.
+     * @param {ImageBitmap} image
+     * @param {{ timeout?: number, signal?: AbortSignal }} [options] - as for detect()
+     * @returns {Promise<{ requestId: number, regions: { label: string, score: number, bbox: number[] }[],
+     *                     timings: object }>} bbox is [x, y, w, h] in image pixels
+     */
+    detectPrivacyRegions(image, { timeout = PRIVACY_TIMEOUT_MS, signal } = {}) {
+        return this.request({ type: 'detect-privacy', image }, { timeout, signal, transfer: [image] });
+    }
+
+    /**
+     * Cancel an in-flight request. Its promise rejects with an AbortError and
+     * the worker drops the result if it is still working on it.
+     */
+    cancel(requestId) {
+        const entry = this.pending.get(requestId);
+        if (!entry) return;
+        this.settle(requestId);
+        this.worker.postMessage({ type: 'cancel', requestId });
+        entry.reject(new DOMException('Detection request cancelled', 'AbortError'));
+    }
+
+    terminate() {
+        if (this.terminated) return;
+        this.terminated = true;
+        this.worker.terminate();
+        const err = new Error('Detection worker terminated');
+        this.rejectReady(err);
+        this.rejectAll(err);
+    }
+
+    // ---------- Internals ----------
+    request(message, { timeout = DEFAULT_TIMEOUT_MS, signal, transfer = [], onProgress = null } = {}) {
+        if (this.terminated) return Promise.reject(new Error('Detection worker terminated'));
+        if (signal?.aborted) {
+            transfer.forEach((t) => t.close?.());
+            return Promise.reject(new DOMException('Detection request cancelled', 'AbortError'));
+        }
+
+        const requestId = this.nextRequestId++;
+        const promise = new Promise((resolve, reject) => {
+            const entry = { resolve, reject, timer: null, cleanup: null, onProgress, startTimer: null };
+
+            if (timeout > 0) {
+                entry.startTimer = () => {
+                    clearTimeout(entry.timer);
+                    entry.timer = setTimeout(() => {
+                        this.settle(requestId);
+                        this.worker.postMessage({ type: 'cancel', requestId });
+                        reject(new Error(`Detection request timed out after ${timeout} ms`));
+                    }, timeout);
+                };
+                entry.startTimer();
+            }
+
+            if (signal) {
+                const onAbort = () => this.cancel(requestId);
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.pending.set(requestId, entry);
+        });
+
+        this.worker.postMessage({ ...message, requestId }, transfer);
+        return promise;
+    }
+
+    // Remove a pending entry and release its timer / abort listener
+    settle(requestId) {
+        const entry = this.pending.get(requestId);
+        if (!entry) return null;
+        this.pending.delete(requestId);
+        clearTimeout(entry.timer);
+        if (entry.cleanup) entry.cleanup();
+        return entry;
+    }
+
+    rejectAll(err) {
+        for (const requestId of [...this.pending.keys()]) {
+            this.settle(requestId).reject(err);
+        }
+    }
+
+    handleMessage({ type, data, requestId }) {
+        switch (type) {
+            case 'status':
+                if (this.onStatus) this.onStatus(data);
+                break;
+
+            case 'model-loaded':
+                this.modelInfo = data;
+                try {
+                    localStorage.setItem(MODEL_INFO_KEY, JSON.stringify({ ...data, loadedAt: Date.now() }));
+                } catch { /* storage full or unavailable */ }
+                this.resolveReady(data);
+                break;
+
+            case 'detection-progress': {
+                // Still working: give the next pass its own timeout
+                const entry = this.pending.get(requestId);
+                if (!entry) break;
+                if (entry.startTimer) entry.startTimer();
+                if (entry.onProgress) entry.onProgress(data);
+                break;
+            }
+
+            case 'detection-result':
+            case 'privacy-result':
+            case 'configured': {
+                const entry = this.settle(requestId);
+                if (entry) entry.resolve({ requestId, ...data });
+                break;
+            }
+
+            case 'error': {
+                const err = new Error(data);
+                if (requestId === undefined) {
+                    // Not tied to a request: model loading failed
+                    this.rejectReady(err);
+                    return;
+                }
+                const entry = this.settle(requestId);
+                if (entry) entry.reject(err);
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,107 @@
+// ============================================
+// Drive Session (one Start → Stop run of live detection)
+// ============================================
+// Pure module, no DOM or Firebase. Live detection feeds it GPS fixes,
+// processed frames and hazards; summary() is what gets stored so the
+// dashboard can show the route driven and the hazards found along it.
+
+import { distanceMeters, encodePolyline } from './geo.js';
+
+const DEFAULTS = {
+    minPointDistanceM: 15,  // Route is thinned to a point every 15 m
+    maxPointAccuracyM: 30,  // Fixes less accurate than this are left out of the route
+};
+
+/**
+ * Hazards in a stored summary: distinct reports, plus each hazard still queued
+ * offline when the drive was saved (those have no report ID yet).
+ * @param {{ reportIds: string[], hazards: object[] }} summary
+ */
+export function countSessionHazards(summary) {
+    return summary.reportIds.length + summary.hazards.filter((h) => !h.reportId).length;
+}
+
+export class DriveSession {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.startedAt] - epoch ms
+     */
+    constructor({ startedAt = Date.now(), ...options } = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.startedAt = startedAt;
+        this.endedAt = null;
+        this.points = [];
+        this.distanceM = 0;
+        this.framesProcessed = 0;
+        this.detectedByClass = {};
+        this.savedByClass = {};
+        this.hazards = []; // { reportId, hazardType, lat, lng, time, status }; reportId null while queued
+    }
+
+    /**
+     * @param {{ lat: number, lng: number, accuracy?: number|null }} fix
+     */
+    addPosition(fix) {
+        if (this.endedAt !== null) return;
+        if (fix.accuracy !== null && fix.accuracy !== undefined && fix.accuracy > this.options.maxPointAccuracyM) return;
+
+        const last = this.points[this.points.length - 1];
+        if (last) {
+            const step = distanceMeters(last, fix);
+            // Standing still: GPS jitter would otherwise add distance
+            if (step < this.options.minPointDistanceM) return;
+            this.distanceM += step;
+        }
+        this.points.push({ lat: fix.lat, lng: fix.lng });
+    }
+
+    frameProcessed() {
+        if (this.endedAt === null) this.framesProcessed++;
+    }
+
+    /**
+     * A confirmed hazard track (seen on enough frames to report).
+     */
+    hazardDetected(hazardType) {
+        if (this.endedAt !== null) return;
+        this.detectedByClass[hazardType] = (this.detectedByClass[hazardType] || 0) + 1;
+    }
+
+    /**
+     * A report was saved, queued or merged into an existing one for this drive.
+     * Still accepted after finish(): saves started before Stop may land late.
+     * Queued hazards are kept without a report ID: when the queue is replayed the
+     * sighting may be merged into another report, so the provisional ID can end up
+     * pointing at nothing.
+     * @param {{ reportId: string, hazardType: string, lat: number, lng: number, time: number,
+     *           status: 'saved'|'confirmed'|'queued' }} hazard
+     */
+    hazardSaved(hazard) {
+        this.savedByClass[hazard.hazardType] = (this.savedByClass[hazard.hazardType] || 0) + 1;
+        this.hazards.push({ ...hazard, reportId: hazard.status === 'queued' ? null : hazard.reportId });
+    }
+
+    finish(endedAt = Date.now()) {
+        if (this.endedAt === null) this.endedAt = endedAt;
+    }
+
+    /**
+     * Everything worth storing about the drive.
+     */
+    summary() {
+        const endedAt = this.endedAt ?? Date.now();
+        return {
+            startedAt: this.startedAt,
+            endedAt,
+            durationMs: endedAt - this.startedAt,
+            distanceM: Math.round(this.distanceM),
+            framesProcessed: this.framesProcessed,
+            detectedByClass: { ...this.detectedByClass },
+            savedByClass: { ...this.savedByClass },
+            reportIds: [...new Set(this.hazards.map((h) => h.reportId).filter(Boolean))],
+            hazards: this.hazards.map((h) => ({ ...h })),
+            route: encodePolyline(this.points),
+            pointCount: this.points.length,
+        };
+    }
+}
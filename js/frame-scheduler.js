@@ -0,0 +1,138 @@
+// ============================================
+// Frame Scheduler (adaptive live inference rate)
+// ============================================
+// Pure module, no DOM. Live detection keeps one frame in flight and asks
+// the scheduler how long to wait before sending the next one. The wait
+// follows measured round-trip latency, so a slow device settles at a
+// rate it can sustain instead of queueing frames, and stretches further
+// when the battery is low or the device is under thermal pressure.
+// With a GPS speed it also aims for a frame every `metersPerFrame` of
+// travel: slow driving needs fewer frames, fast driving gets as many as
+// latency allows.
+
+const DEFAULTS = {
+    minIntervalMs: 100,   // Never faster than ~10 FPS
+    maxIntervalMs: 2000,  // Never slower than one frame every 2 s
+    headroom: 1.2,        // Interval = latency × headroom, leaves the GPU some idle time
+    smoothing: 0.2,       // EMA weight of the newest latency sample
+    windowMs: 2000,       // FPS is measured over this sliding window
+    metersPerFrame: 1.5,  // Road covered between frames when the speed is known
+};
+
+// Interval multipliers; pressure states follow the Compute Pressure API
+const PRESSURE_FACTORS = { nominal: 1, fair: 1, serious: 2, critical: 4 };
+const LOW_BATTERY_LEVEL = 0.2;
+const LOW_BATTERY_FACTOR = 2;
+
+export class FrameScheduler {
+    /**
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.power = { pressure: 'nominal', batteryLevel: null, charging: true };
+        this.speed = null; // m/s from GPS, null when unknown
+        this.reset();
+    }
+
+    // Forget measurements from the previous run; power state is kept
+    reset() {
+        this.latencyMs = null;      // EMA of round-trip latency
+        this.inferenceMs = null;    // EMA of model time reported by the worker
+        this.completions = [];      // Finish times inside the FPS window
+        this.lastStartedAt = null;
+    }
+
+    /**
+     * A frame was sent to the worker.
+     * @param {number} now - ms
+     */
+    frameStarted(now) {
+        this.lastStartedAt = now;
+    }
+
+    /**
+     * A frame's result came back (or failed).
+     * @param {number} now - ms
+     * @param {{ inference?: number }} [timings] - worker timings for the frame
+     */
+    frameFinished(now, timings = {}) {
+        if (this.lastStartedAt === null) return;
+        const { smoothing, windowMs } = this.options;
+        const latency = now - this.lastStartedAt;
+
+        this.latencyMs = this.latencyMs === null ? latency : this.latencyMs + smoothing * (latency - this.latencyMs);
+        if (Number.isFinite(timings.inference)) {
+            this.inferenceMs = this.inferenceMs === null
+                ? timings.inference
+                : this.inferenceMs + smoothing * (timings.inference - this.inferenceMs);
+        }
+
+        this.completions.push(now);
+        while (this.completions.length && now - this.completions[0] > windowMs) this.completions.shift();
+    }
+
+    /**
+     * @param {{ pressure?: string, batteryLevel?: number|null, charging?: boolean }} state
+     */
+    setPowerState(state) {
+        this.power = { ...this.power, ...state };
+    }
+
+    /**
+     * @param {number|null} speed - m/s, null when there's no fresh GPS reading
+     */
+    setSpeed(speed) {
+        this.speed = Number.isFinite(speed) ? speed : null;
+    }
+
+    lowBattery() {
+        const { batteryLevel, charging } = this.power;
+        return !charging && batteryLevel !== null && batteryLevel <= LOW_BATTERY_LEVEL;
+    }
+
+    // Combined slowdown from battery and thermal state (1 = none)
+    powerFactor() {
+        const factor = PRESSURE_FACTORS[this.power.pressure] || 1;
+        return this.lowBattery() ? factor * LOW_BATTERY_FACTOR : factor;
+    }
+
+    /**
+     * Target time between frame starts.
+     */
+    intervalMs() {
+        const { minIntervalMs, maxIntervalMs, headroom, metersPerFrame } = this.options;
+        let base = this.latencyMs === null ? minIntervalMs : this.latencyMs * headroom;
+        // Slower than latency allows when we're barely moving; never faster
+        if (this.speed !== null) base = Math.max(base, this.speed > 0 ? (metersPerFrame / this.speed) * 1000 : maxIntervalMs);
+        return Math.min(maxIntervalMs, Math.max(minIntervalMs, base) * this.powerFactor());
+    }
+
+    /**
+     * How long to wait before starting the next frame.
+     * @param {number} now - ms
+     */
+    delayMs(now) {
+        if (this.lastStartedAt === null) return 0;
+        return Math.max(0, this.lastStartedAt + this.intervalMs() - now);
+    }
+
+    /**
+     * Numbers for the HUD.
+     * @param {number} now - ms
+     */
+    stats(now) {
+        const recent = this.completions.filter((t) => now - t <= this.options.windowMs);
+        const span = recent.length > 1 ? recent[recent.length - 1] - recent[0] : 0;
+        return {
+            fps: span > 0 ? ((recent.length - 1) * 1000) / span : 0,
+            latencyMs: this.latencyMs,
+            inferenceMs: this.inferenceMs,
+            intervalMs: this.intervalMs(),
+            powerFactor: this.powerFactor(),
+            pressure: this.power.pressure,
+            lowBattery: this.lowBattery(),
+            speed: this.speed,
+        };
+    }
+}
@@ -0,0 +1,209 @@
+// ============================================
+// Geo Helpers (geohash, distances, bearings, polylines)
+// ============================================
+// Pure functions, no DOM or Firebase. Reports store a geohash so nearby
+// documents can be found with prefix range queries on a single field.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Encode a position as a geohash string.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [precision] - characters; 7 ≈ 150 m cells, 9 ≈ 5 m cells
+ */
+export function encodeGeohash(lat, lng, precision = 9) {
+    let latMin = -90, latMax = 90;
+    let lngMin = -180, lngMax = 180;
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let evenBit = true; // Longitude first
+
+    while (hash.length < precision) {
+        if (evenBit) {
+            const mid = (lngMin + lngMax) / 2;
+            if (lng >= mid) { value = value * 2 + 1; lngMin = mid; } else { value *= 2; lngMax = mid; }
+        } else {
+            const mid = (latMin + latMax) / 2;
+            if (lat >= mid) { value = value * 2 + 1; latMin = mid; } else { value *= 2; latMax = mid; }
+        }
+        evenBit = !evenBit;
+
+        if (++bits === 5) {
+            hash += BASE32[value];
+            bits = 0;
+            value = 0;
+        }
+    }
+    return hash;
+}
+
+/**
+ * Bounding box of a geohash cell.
+ * @returns {{ latMin: number, latMax: number, lngMin: number, lngMax: number }}
+ */
+export function decodeGeohashBounds(hash) {
+    let latMin = -90, latMax = 90;
+    let lngMin = -180, lngMax = 180;
+    let evenBit = true;
+
+    for (const char of hash.toLowerCase()) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error(`Invalid geohash character "${char}"`);
+        for (let bit = 4; bit >= 0; bit--) {
+            const on = (index >> bit) & 1;
+            if (evenBit) {
+                const mid = (lngMin + lngMax) / 2;
+                if (on) lngMin = mid; else lngMax = mid;
+            } else {
+                const mid = (latMin + latMax) / 2;
+                if (on) latMin = mid; else latMax = mid;
+            }
+            evenBit = !evenBit;
+        }
+    }
+    return { latMin, latMax, lngMin, lngMax };
+}
+
+/**
+ * The cell containing the position plus its 8 neighbours, all at `precision`.
+ * Any point within one cell size of the position falls in one of them.
+ */
+export function geohashNeighborhood(lat, lng, precision) {
+    const center = encodeGeohash(lat, lng, precision);
+    const { latMin, latMax, lngMin, lngMax } = decodeGeohashBounds(center);
+    const cellLat = latMax - latMin;
+    const cellLng = lngMax - lngMin;
+    const midLat = (latMin + latMax) / 2;
+    const midLng = (lngMin + lngMax) / 2;
+
+    const cells = new Set();
+    for (const dLat of [-1, 0, 1]) {
+        for (const dLng of [-1, 0, 1]) {
+            const cellCenterLat = midLat + dLat * cellLat;
+            if (cellCenterLat < -90 || cellCenterLat > 90) continue;
+            // Wrap around the antimeridian
+            const cellCenterLng = ((midLng + dLng * cellLng + 540) % 360) - 180;
+            cells.add(encodeGeohash(cellCenterLat, cellCenterLng, precision));
+        }
+    }
+    return [...cells];
+}
+
+/**
+ * Longest geohash precision whose cells are at least `radiusM` on each side
+ * at this latitude, so a 3×3 neighbourhood covers the whole radius.
+ */
+export function geohashPrecisionForRadius(radiusM, lat = 0) {
+    for (let precision = 9; precision > 1; precision--) {
+        const { latMin, latMax, lngMin, lngMax } = decodeGeohashBounds(encodeGeohash(lat, 0, precision));
+        const heightM = (latMax - latMin) * (Math.PI / 180) * EARTH_RADIUS_M;
+        const widthM = (lngMax - lngMin) * (Math.PI / 180) * EARTH_RADIUS_M * Math.cos(lat * Math.PI / 180);
+        if (heightM >= radiusM && widthM >= radiusM) return precision;
+    }
+    return 1;
+}
+
+/**
+ * Great-circle distance in metres (haversine).
+ */
+export function distanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Initial bearing from a to b, degrees clockwise from north (0-360).
+ */
+export function bearingDegrees(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLng = toRad(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(toRad(b.lat));
+    const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+        Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Point reached from `origin` after `distanceM` metres on `bearing` degrees.
+ */
+export function destinationPoint(origin, bearing, distanceM) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const toDeg = (rad) => rad * 180 / Math.PI;
+    const angular = distanceM / EARTH_RADIUS_M;
+    const theta = toRad(bearing);
+    const lat1 = toRad(origin.lat);
+    const lng1 = toRad(origin.lng);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+    const lng2 = lng1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+    return { lat: toDeg(lat2), lng: ((toDeg(lng2) + 540) % 360) - 180 };
+}
+
+/**
+ * Encode points with Google's polyline algorithm (1e-5 degree precision).
+ * About 6 bytes per point, which keeps long routes inside a Firestore document.
+ * @param {{ lat: number, lng: number }[]} points
+ */
+export function encodePolyline(points) {
+    let lastLat = 0;
+    let lastLng = 0;
+    let result = '';
+
+    const encodeValue = (value) => {
+        let v = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    for (const { lat, lng } of points) {
+        const latE5 = Math.round(lat * 1e5);
+        const lngE5 = Math.round(lng * 1e5);
+        result += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+        lastLat = latE5;
+        lastLng = lngE5;
+    }
+    return result;
+}
+
+/**
+ * Inverse of encodePolyline().
+ * @returns {{ lat: number, lng: number }[]}
+ */
+export function decodePolyline(encoded) {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20 && index < encoded.length);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lng += decodeValue();
+        points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+    }
+    return points;
+}
@@ -0,0 +1,180 @@
+// ============================================
+// GPS Track Files (GPX / NMEA)
+// ============================================
+// Pure module, no DOM. Parses recorded GPS tracks into fixes so video
+// analysis can geotag hazards found in dashcam footage:
+//
+// - GPX 1.0 / 1.1 track points (<trkpt lat lon><time>)
+// - NMEA 0183 RMC / GGA sentences, as written by dashcams to a sidecar
+//   .nmea / .log file or embedded as text inside the video file
+//
+// Fixes are { time (epoch ms), lat, lng, speed (m/s) | null, heading | null },
+// sorted by time.
+
+import { PositionTrack } from './position-track.js';
+
+const KNOTS_TO_MPS = 0.514444;
+
+/**
+ * Parse a GPX or NMEA file, picking the format from its contents.
+ * @param {string} text
+ * @returns {{ format: 'gpx'|'nmea', fixes: object[] }}
+ */
+export function parseGpsTrack(text) {
+    if (/<gpx[\s>]/i.test(text)) return { format: 'gpx', fixes: parseGpx(text) };
+    return { format: 'nmea', fixes: parseNmea(text) };
+}
+
+/**
+ * Track points from a GPX document. Points without a time are skipped:
+ * they can't be matched to video frames.
+ * @param {string} text
+ */
+export function parseGpx(text) {
+    const fixes = [];
+    const pointPattern = /<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/gi;
+    let match;
+    while ((match = pointPattern.exec(text)) !== null) {
+        const [, attributes, body] = match;
+        const lat = Number(attributeValue(attributes, 'lat'));
+        const lng = Number(attributeValue(attributes, 'lon'));
+        const time = Date.parse(elementText(body, 'time'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || !Number.isFinite(time)) continue;
+
+        // GPX 1.0 has <speed>/<course>; 1.1 puts them in extensions, often with a prefix
+        fixes.push({
+            time,
+            lat,
+            lng,
+            speed: optionalNumber(elementText(body, 'speed')),
+            heading: optionalNumber(elementText(body, 'course')),
+        });
+    }
+    return sortAndDedupe(fixes);
+}
+
+/**
+ * Fixes from NMEA sentences. RMC carries the date; GGA only has the time of
+ * day, so it's used with the date of the last RMC seen. Sentences with a bad
+ * checksum or no fix are skipped.
+ * @param {string} text
+ */
+export function parseNmea(text) {
+    const fixes = [];
+    let date = null; // { year, month, day } from the last RMC
+
+    const sentencePattern = /\$(G[PNLAB])(RMC|GGA),([^\r\n$]*)/g;
+    let match;
+    while ((match = sentencePattern.exec(text)) !== null) {
+        const [whole, , type, rest] = match;
+        const [data, checksum] = rest.split('*');
+        if (checksum !== undefined && !validChecksum(whole.slice(1, whole.indexOf('*')), checksum)) continue;
+        const fields = data.split(',');
+
+        if (type === 'RMC') {
+            // time, status, lat, N/S, lng, E/W, speed (knots), course, date (ddmmyy)
+            const [timeField, status, latField, latHemi, lngField, lngHemi, knots, course, dateField] = fields;
+            if (status !== 'A' || !dateField || dateField.length < 6) continue;
+            date = {
+                day: Number(dateField.slice(0, 2)),
+                month: Number(dateField.slice(2, 4)),
+                year: twoDigitYear(Number(dateField.slice(4, 6))),
+            };
+            const fix = nmeaFix(date, timeField, latField, latHemi, lngField, lngHemi);
+            if (!fix) continue;
+            const speedKnots = optionalNumber(knots);
+            fix.speed = speedKnots === null ? null : speedKnots * KNOTS_TO_MPS;
+            fix.heading = optionalNumber(course);
+            fixes.push(fix);
+        } else if (date) {
+            // GGA: time, lat, N/S, lng, E/W, quality (0 = no fix)
+            const [timeField, latField, latHemi, lngField, lngHemi, quality] = fields;
+            if (!quality || quality === '0') continue;
+            const fix = nmeaFix(date, timeField, latField, latHemi, lngField, lngHemi);
+            if (fix) fixes.push({ ...fix, speed: null, heading: null });
+        }
+    }
+    return sortAndDedupe(fixes);
+}
+
+/**
+ * A PositionTrack loaded with a whole recorded track, for interpolating the
+ * position at any frame time.
+ * @param {object[]} fixes - from parseGpsTrack
+ */
+export function positionTrackFromFixes(fixes) {
+    const track = new PositionTrack({ historyMs: Infinity, maxExtrapolateMs: 2000 });
+    fixes.forEach((fix) => track.add({
+        timestamp: fix.time,
+        coords: { latitude: fix.lat, longitude: fix.lng, accuracy: null, speed: fix.speed, heading: fix.heading },
+    }));
+    return track;
+}
+
+// ---------- Internals ----------
+function attributeValue(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+}
+
+// Text of the first <name> or <prefix:name> element
+function elementText(body, name) {
+    const match = body.match(new RegExp(`<(?:\\w+:)?${name}>\\s*([^<]*?)\\s*</(?:\\w+:)?${name}>`, 'i'));
+    return match ? match[1] : null;
+}
+
+function optionalNumber(text) {
+    if (text === null || text === undefined || text.trim() === '') return null;
+    const value = Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+function validChecksum(sentence, checksum) {
+    let sum = 0;
+    for (let i = 0; i < sentence.length; i++) sum ^= sentence.charCodeAt(i);
+    return sum === parseInt(checksum.slice(0, 2), 16);
+}
+
+function nmeaFix(date, timeField, latField, latHemi, lngField, lngHemi) {
+    if (!timeField || timeField.length < 6) return null;
+    const lat = nmeaDegrees(latField, latHemi);
+    const lng = nmeaDegrees(lngField, lngHemi);
+    if (lat === null || lng === null) return null;
+
+    const time = Date.UTC(
+        date.year, date.month - 1, date.day,
+        Number(timeField.slice(0, 2)), Number(timeField.slice(2, 4)), 0,
+    ) + Math.round(Number(timeField.slice(4)) * 1000);
+    return Number.isFinite(time) ? { time, lat, lng } : null;
+}
+
+// RMC dates have a two-digit year; receivers from before 2000 are long gone,
+// but the 1980 GPS epoch is the natural pivot
+function twoDigitYear(yy) {
+    return yy >= 80 ? 1900 + yy : 2000 + yy;
+}
+
+// "ddmm.mmmm" / "dddmm.mmmm" plus hemisphere -> signed decimal degrees
+function nmeaDegrees(value, hemisphere) {
+    if (!value) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    const degrees = Math.floor(number / 100);
+    const decimal = degrees + (number - degrees * 100) / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+// RMC and GGA for the same moment: keep one, preferring the one with a speed
+function sortAndDedupe(fixes) {
+    fixes.sort((a, b) => a.time - b.time);
+    const result = [];
+    for (const fix of fixes) {
+        const last = result[result.length - 1];
+        if (last && last.time === fix.time) {
+            if (last.speed === null && fix.speed !== null) result[result.length - 1] = fix;
+            continue;
+        }
+        result.push(fix);
+    }
+    return result;
+}
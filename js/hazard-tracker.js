@@ -0,0 +1,345 @@
+// ============================================
+// Hazard Tracker (SORT-style multi-object tracking)
+// ============================================
+// Pure module, no DOM: feed it detections with a timestamp, get back
+// tracks with stable IDs.
+//
+// - Each track runs a constant-velocity Kalman filter on its box centre
+//   and size, so at driving speed the predicted box still overlaps the
+//   next detection even when the hazard moved far down the frame.
+// - Detections are assigned to tracks optimally (Hungarian algorithm) on
+//   a cost built from IoU with the predicted box, falling back to centre
+//   distance when the boxes no longer overlap.
+// - The filtered state doubles as box smoothing, and predict() gives
+//   boxes for any moment between inference results.
+//
+// Boxes are [x, y, w, h] in pixels, timestamps in ms.
+
+const DEFAULTS = {
+    maxMisses: 5,            // Consecutive updates without a match before a track is dropped
+    minHits: 2,              // Matches before a track counts as a real hazard
+    iouThreshold: 0.3,       // IoU at or above this is always an acceptable match
+    maxCenterDistance: 1.0,  // Otherwise: centre distance in predicted-box diagonals
+    measurementNoise: 0.05,  // Detector jitter, as a fraction of box size
+    processNoise: 2.0,       // Acceleration noise, box sizes per s²
+    initialVelocity: 10,     // Prior velocity spread, box sizes per s
+    maxCoastMs: 500,         // How far predict() extrapolates past the last match
+};
+
+const NO_MATCH = 1e6;
+
+// ---------- Kalman filter (1D constant velocity) ----------
+// One filter per box coordinate (cx, cy, w, h). The coordinates are
+// treated as independent, which keeps the maths to 2×2 matrices.
+class ConstantVelocityFilter {
+    constructor(position, positionVar, velocityVar) {
+        this.x = [position, 0];
+        this.P = [positionVar, 0, 0, velocityVar]; // Row-major 2×2 covariance
+    }
+
+    predict(dt, accelVar) {
+        if (dt <= 0) return;
+        const [p, v] = this.x;
+        const [p00, p01, p10, p11] = this.P;
+        this.x = [p + v * dt, v];
+
+        // P = F P Fᵀ + Q, F = [[1, dt], [0, 1]], Q = white-noise acceleration
+        const dt2 = dt * dt;
+        this.P = [
+            p00 + dt * (p01 + p10) + dt2 * p11 + accelVar * dt2 * dt2 / 4,
+            p01 + dt * p11 + accelVar * dt2 * dt / 2,
+            p10 + dt * p11 + accelVar * dt2 * dt / 2,
+            p11 + accelVar * dt2,
+        ];
+    }
+
+    update(z, measurementVar) {
+        const [p00, p01, p10, p11] = this.P;
+        const s = p00 + measurementVar;
+        const k0 = p00 / s;
+        const k1 = p10 / s;
+        const innovation = z - this.x[0];
+
+        this.x = [this.x[0] + k0 * innovation, this.x[1] + k1 * innovation];
+        this.P = [
+            (1 - k0) * p00,
+            (1 - k0) * p01,
+            p10 - k1 * p00,
+            p11 - k1 * p01,
+        ];
+    }
+
+    // State extrapolated dt seconds ahead, without changing the filter
+    peek(dt) {
+        return this.x[0] + this.x[1] * Math.max(0, dt);
+    }
+}
+
+// ---------- Assignment (Hungarian / Kuhn-Munkres) ----------
+
+/**
+ * Minimum-cost assignment for a rectangular cost matrix.
+ * @param {number[][]} cost - rows × cols, finite values
+ * @returns {number[]} for each row, the assigned column or -1
+ */
+export function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows > 0 ? cost[0].length : 0;
+    if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+    // The algorithm needs rows <= cols; solve the transpose otherwise
+    if (rows > cols) {
+        const transposed = Array.from({ length: cols }, (_, c) => cost.map((row) => row[c]));
+        const colToRow = solveAssignment(transposed);
+        const rowToCol = new Array(rows).fill(-1);
+        colToRow.forEach((r, c) => { if (r !== -1) rowToCol[r] = c; });
+        return rowToCol;
+    }
+
+    // Potentials u (rows) / v (cols), 1-indexed with a virtual column 0
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(cols + 1).fill(0);
+    const match = new Array(cols + 1).fill(0); // match[col] = row
+    const way = new Array(cols + 1).fill(0);
+
+    for (let i = 1; i <= rows; i++) {
+        match[0] = i;
+        let j0 = 0;
+        const minv = new Array(cols + 1).fill(Infinity);
+        const used = new Array(cols + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = match[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= cols; j++) {
+                if (used[j]) continue;
+                const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= cols; j++) {
+                if (used[j]) {
+                    u[match[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (match[j0] !== 0);
+
+        // Flip the augmenting path
+        do {
+            const j1 = way[j0];
+            match[j0] = match[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const rowToCol = new Array(rows).fill(-1);
+    for (let j = 1; j <= cols; j++) {
+        if (match[j] > 0) rowToCol[match[j] - 1] = j - 1;
+    }
+    return rowToCol;
+}
+
+// ---------- Geometry ----------
+export function calculateIoU(box1, box2) {
+    const [x1, y1, w1, h1] = box1;
+    const [x2, y2, w2, h2] = box2;
+
+    const xA = Math.max(x1, x2);
+    const yA = Math.max(y1, y2);
+    const xB = Math.min(x1 + w1, x2 + w2);
+    const yB = Math.min(y1 + h1, y2 + h2);
+
+    const interArea = Math.max(0, xB - xA) * Math.max(0, yB - yA);
+    const union = w1 * h1 + w2 * h2 - interArea;
+    return union > 0 ? interArea / union : 0;
+}
+
+function centerDistance(box1, box2) {
+    const dx = (box1[0] + box1[2] / 2) - (box2[0] + box2[2] / 2);
+    const dy = (box1[1] + box1[3] / 2) - (box2[1] + box2[3] / 2);
+    return Math.hypot(dx, dy);
+}
+
+// ---------- Tracker ----------
+export class HazardTracker {
+    /**
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Advance every track to `timestamp` and match the new detections.
+     * @param {{ label: string, score: number, bbox: number[] }[]} detections
+     * @param {number} timestamp - when the frame was captured (ms)
+     * @returns {{ tracks: object[], improved: object[], confirmed: object[], completed: object[] }}
+     *   tracks: visible tracks (matched this update);
+     *   improved: tracks whose best score went up this update (grab a better frame);
+     *   confirmed: tracks that reached minHits this update (a new hazard, once per track);
+     *   completed: confirmed tracks seen for the last time so far - each is reported once
+     */
+    update(detections, timestamp) {
+        const { minHits, maxMisses } = this.options;
+        const dt = this.lastTimestamp === null ? 0 : Math.max(0, (timestamp - this.lastTimestamp) / 1000);
+        this.lastTimestamp = timestamp;
+
+        this.tracks.forEach((track) => this.predictTrack(track, dt));
+
+        const assignment = this.assign(detections);
+        const improved = [];
+        const confirmed = [];
+        const matchedDetections = new Set();
+
+        this.tracks.forEach((track, t) => {
+            const d = assignment[t];
+            if (d === -1) {
+                track.misses++;
+                return;
+            }
+            const det = detections[d];
+            matchedDetections.add(d);
+            this.correctTrack(track, det.bbox);
+            track.hits++;
+            track.misses = 0;
+            track.score = det.score;
+            track.lastSeen = timestamp;
+            if (track.hits === minHits) confirmed.push(track);
+            if (det.score > track.bestScore) {
+                track.bestScore = det.score;
+                improved.push(track);
+            }
+        });
+
+        detections.forEach((det, d) => {
+            if (matchedDetections.has(d)) return;
+            const track = this.createTrack(det, timestamp);
+            this.tracks.push(track);
+            improved.push(track);
+            if (minHits <= 1) confirmed.push(track);
+        });
+
+        // A confirmed track that just missed a frame has its best frame
+        // already: hand it out once, same moment the old tracker saved
+        const completed = [];
+        for (const track of this.tracks) {
+            if (!track.completed && track.hits >= minHits && track.misses === 1) {
+                track.completed = true;
+                completed.push(track);
+            }
+        }
+
+        this.tracks = this.tracks.filter((track) => track.misses < maxMisses);
+
+        return {
+            tracks: this.tracks.filter((track) => track.misses === 0),
+            improved,
+            confirmed,
+            completed,
+        };
+    }
+
+    /**
+     * Boxes for drawing at `timestamp`, extrapolated from each track's
+     * velocity. Doesn't change tracker state.
+     * @returns {{ id: number, label: string, score: number, confirmed: boolean, bbox: number[] }[]}
+     */
+    predict(timestamp) {
+        const { minHits, maxCoastMs } = this.options;
+        return this.tracks
+            .filter((track) => track.misses === 0 && timestamp - track.lastSeen <= maxCoastMs)
+            .map((track) => {
+                const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+                return {
+                    id: track.id,
+                    label: track.label,
+                    score: track.score,
+                    confirmed: track.hits >= minHits,
+                    bbox: this.stateToBox(track, dt),
+                };
+            });
+    }
+
+    // ---------- Internals ----------
+    createTrack(det, timestamp) {
+        const { measurementNoise, initialVelocity } = this.options;
+        const [x, y, w, h] = det.bbox;
+        const size = Math.max(w, h, 1);
+        const posVar = (measurementNoise * size) ** 2;
+        const velVar = (initialVelocity * size) ** 2;
+
+        return {
+            id: this.nextId++,
+            label: det.label,
+            filters: [x + w / 2, y + h / 2, w, h].map((value) => new ConstantVelocityFilter(value, posVar, velVar)),
+            bbox: [...det.bbox],
+            score: det.score,
+            bestScore: det.score,
+            hits: 1,
+            misses: 0,
+            completed: false,
+            lastSeen: timestamp,
+        };
+    }
+
+    predictTrack(track, dt) {
+        const size = Math.max(track.bbox[2], track.bbox[3], 1);
+        const accelVar = (this.options.processNoise * size) ** 2;
+        track.filters.forEach((filter) => filter.predict(dt, accelVar));
+        track.bbox = this.stateToBox(track, 0);
+    }
+
+    correctTrack(track, bbox) {
+        const [x, y, w, h] = bbox;
+        const size = Math.max(w, h, 1);
+        const measurementVar = (this.options.measurementNoise * size) ** 2;
+        [x + w / 2, y + h / 2, w, h].forEach((z, i) => track.filters[i].update(z, measurementVar));
+        track.bbox = this.stateToBox(track, 0);
+    }
+
+    stateToBox(track, dt) {
+        const [cx, cy, w, h] = track.filters.map((filter) => filter.peek(dt));
+        const width = Math.max(1, w);
+        const height = Math.max(1, h);
+        return [cx - width / 2, cy - height / 2, width, height];
+    }
+
+    // Track index -> detection index (or -1), gated by label and distance
+    assign(detections) {
+        if (this.tracks.length === 0 || detections.length === 0) {
+            return new Array(this.tracks.length).fill(-1);
+        }
+
+        const { iouThreshold, maxCenterDistance } = this.options;
+        const cost = this.tracks.map((track) => detections.map((det) => {
+            if (det.label !== track.label) return NO_MATCH;
+            const iou = calculateIoU(track.bbox, det.bbox);
+            if (iou >= iouThreshold) return 1 - iou; // 0..0.7: overlap always wins
+            const diagonal = Math.hypot(track.bbox[2], track.bbox[3]) || 1;
+            const distance = centerDistance(track.bbox, det.bbox) / diagonal;
+            if (distance > maxCenterDistance) return NO_MATCH;
+            return 1 + distance; // 1..2: near but not overlapping enough
+        }));
+
+        return solveAssignment(cost).map((d, t) => (d !== -1 && cost[t][d] < NO_MATCH ? d : -1));
+    }
+}
@@ -0,0 +1,289 @@
+// ============================================
+// Image Batch (multi-image upload queue)
+// ============================================
+// Holds the state of every photo in a batch upload (a road survey can be
+// hundreds of images) and runs them through the detection worker one at a
+// time. Each item carries its own detections, location and save status, so
+// items can be saved or discarded in any order. The page renders the items
+// and calls save / discard; onChange tells it which item to redraw.
+
+import { submitReport } from './report-queue.js';
+import { drawDetections, toStoredDetections } from './detection-overlay.js';
+import { estimateSeverity } from './severity.js';
+
+const THUMB_WIDTH = 480;
+
+export class ImageBatch {
+    /**
+     * @param {object} options
+     * @param {import('./detector-client.js').DetectorClient} options.detector
+     * @param {(file: File) => Promise<{ lat: number, lng: number, source: string }|null>} options.readLocation - e.g. EXIF GPS
+     * @param {(lat: number, lng: number) => Promise<string|null>} [options.lookupAddress]
+     * @param {(item: object|null) => void} [options.onChange] - an item changed (null: the whole batch)
+     * @param {(onProgress: Function) => object} [options.detectOptions] - extra detect() options per
+     *   image (e.g. sliced inference); progress lands on the item as `passes`
+     * @param {(canvas: HTMLCanvasElement) => Promise<void>} [options.anonymize] - pixelates faces and
+     *   plates on the full-size photo before it is uploaded
+     */
+    constructor({ detector, readLocation, lookupAddress = null, onChange = null, detectOptions = null, anonymize = null }) {
+        this.detector = detector;
+        this.readLocation = readLocation;
+        this.lookupAddress = lookupAddress;
+        this.detectOptions = detectOptions;
+        this.anonymize = anonymize;
+        this.onChange = onChange;
+        this.items = [];
+        this.nextId = 1;
+        this.running = false;
+        this.generation = 0; // Bumped by clear() so a running queue stops
+    }
+
+    /**
+     * Queue images for detection.
+     * @param {File[]} files
+     * @returns {object[]} the new items
+     */
+    add(files) {
+        const added = files.map((file) => ({
+            id: this.nextId++,
+            file,
+            // pending -> detecting -> done | failed; done -> saving -> saved; or discarded
+            status: 'pending',
+            detections: [],
+            passes: null, // { done, total } while a sliced detection runs
+            location: null,
+            address: null,
+            thumbUrl: null,
+            saveStatus: null, // 'saved' | 'confirmed' | 'queued'
+            error: null,
+        }));
+        this.items.push(...added);
+        this.changed(null);
+        this.process();
+        return added;
+    }
+
+    get(id) {
+        return this.items.find((item) => item.id === id) || null;
+    }
+
+    /**
+     * @returns {{ total: number, processed: number, withHazards: number, saveable: number, saved: number }}
+     */
+    progress() {
+        const live = this.items.filter((item) => item.status !== 'discarded');
+        return {
+            total: live.length,
+            processed: live.filter((item) => !['pending', 'detecting'].includes(item.status)).length,
+            withHazards: live.filter((item) => item.detections.length > 0).length,
+            saveable: live.filter((item) => this.canSave(item)).length,
+            saved: live.filter((item) => item.status === 'saved').length,
+        };
+    }
+
+    /**
+     * Detected, located and not saved yet.
+     */
+    canSave(item) {
+        return item.status === 'done' && item.detections.length > 0 && item.location !== null;
+    }
+
+    /**
+     * Location picked by hand for a photo without (or with a wrong) EXIF position.
+     * @param {{ lat: number, lng: number, accuracy?: number|null, address?: string, source: string }} location
+     */
+    setLocation(id, location) {
+        const item = this.get(id);
+        if (!item || item.status === 'saving' || item.status === 'saved' || item.status === 'discarded') return;
+        const { address, ...position } = location;
+        item.location = position;
+        item.address = address || null;
+        item.error = null;
+        this.changed(item);
+    }
+
+    discard(id) {
+        const item = this.get(id);
+        if (!item || item.status === 'saving' || item.status === 'saved') return;
+        item.status = 'discarded';
+        item.thumbUrl = null;
+        this.changed(item);
+    }
+
+    clear() {
+        this.generation++;
+        this.items = [];
+        this.running = false;
+        this.changed(null);
+    }
+
+    /**
+     * Save one item as a report (or queue it offline).
+     * @returns {Promise<boolean>} whether it was saved
+     */
+    async save(id) {
+        const item = this.get(id);
+        if (!item || !this.canSave(item)) return false;
+
+        item.status = 'saving';
+        item.error = null;
+        this.changed(item);
+        try {
+            const { blob, rawBlob, detections } = await renderReportImages(item.file, item.detections, this.anonymize);
+            const { status } = await submitReport({
+                blob,
+                rawBlob,
+                filename: item.file.name,
+                report: {
+                    // Same as a single upload: every class found in the photo
+                    hazardType: [...new Set(item.detections.map((d) => d.label))].join(', '),
+                    lat: item.location.lat,
+                    lng: item.location.lng,
+                    address: item.address || '',
+                    accuracy: item.location.accuracy ?? null,
+                    locationSource: item.location.source,
+                    detections,
+                    severity: estimateSeverity({ detections })?.level ?? null,
+                },
+            });
+            item.status = 'saved';
+            item.saveStatus = status;
+            return true;
+        } catch (err) {
+            console.error(`[Batch] Save failed for ${item.file.name}:`, err);
+            item.status = 'done';
+            item.error = err.name === 'PrivacyFilterError' ? 'Could not blur faces / plates' : 'Save failed';
+            return false;
+        } finally {
+            this.changed(item);
+        }
+    }
+
+    /**
+     * Save every item that has a hazard and a location, one after another.
+     * @returns {Promise<{ saved: number, failed: number }>}
+     */
+    async saveAll() {
+        const targets = this.items.filter((item) => this.canSave(item));
+        let saved = 0;
+        for (const item of targets) {
+            if (await this.save(item.id)) saved++;
+        }
+        return { saved, failed: targets.length - saved };
+    }
+
+    // ---------- Internals ----------
+    async process() {
+        if (this.running) return;
+        this.running = true;
+        const generation = this.generation;
+
+        try {
+            await this.detector.ready();
+            let item;
+            while (generation === this.generation && (item = this.items.find((i) => i.status === 'pending'))) {
+                await this.processItem(item);
+            }
+        } catch (err) {
+            console.error('[Batch] Model not available:', err);
+            this.items.filter((i) => i.status === 'pending').forEach((i) => {
+                i.status = 'failed';
+                i.error = 'Model failed to load';
+                this.changed(i);
+            });
+        } finally {
+            if (generation === this.generation) this.running = false;
+        }
+    }
+
+    async processItem(item) {
+        item.status = 'detecting';
+        this.changed(item);
+
+        try {
+            const location = await this.readLocation(item.file);
+            const bitmap = await createImageBitmap(item.file);
+            const width = bitmap.width;
+            // Thumbnail first: the bitmap is transferred to the worker
+            const thumbBitmap = await createImageBitmap(bitmap);
+            const options = this.detectOptions
+                ? this.detectOptions((passes) => {
+                    item.passes = passes;
+                    this.changed(item);
+                })
+                : {};
+            const result = await this.detector.detect(bitmap, options);
+            item.passes = null;
+            if (item.status === 'discarded') {
+                thumbBitmap.close();
+                return;
+            }
+
+            item.detections = result.detections || [];
+            item.location = location;
+            item.thumbUrl = makeThumbnail(thumbBitmap, item.detections, width);
+            thumbBitmap.close();
+            item.status = 'done';
+            this.changed(item);
+
+            // Address only for photos that can be saved
+            if (location && item.detections.length > 0 && this.lookupAddress) {
+                item.address = await this.lookupAddress(location.lat, location.lng);
+                this.changed(item);
+            }
+        } catch (err) {
+            console.error(`[Batch] Detection failed for ${item.file.name}:`, err);
+            item.passes = null;
+            item.status = 'failed';
+            item.error = 'Detection failed';
+            this.changed(item);
+        }
+    }
+
+    changed(item) {
+        if (this.onChange) this.onChange(item);
+    }
+}
+
+// ---------- Helpers ----------
+
+// Small preview with the boxes, so 200 cards don't hold 200 full-size photos
+function makeThumbnail(bitmap, detections, imageWidth) {
+    const scale = Math.min(1, THUMB_WIDTH / bitmap.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    drawDetections(ctx, detections, imageWidth, scale);
+    return canvas.toDataURL('image/jpeg', 0.75);
+}
+
+// Full-size photo with and without its boxes, decoded again only when it's saved
+async function renderReportImages(file, detections, anonymize) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    if (anonymize) await anonymize(canvas);
+
+    const rawBlob = await canvasToJpeg(canvas);
+    drawDetections(ctx, detections, canvas.width);
+    return {
+        blob: await canvasToJpeg(canvas),
+        rawBlob,
+        detections: toStoredDetections(detections, canvas.width, canvas.height),
+    };
+}
+
+function canvasToJpeg(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('Failed to create blob from canvas'));
+        }, 'image/jpeg', 0.85);
+    });
+}
@@ -0,0 +1,42 @@
+// ============================================
+// Image Storage (pluggable backend)
+// ============================================
+// Report images go through one adapter, picked by IMAGE_STORAGE in the
+// server's env config (served as window.ENV by /env.js):
+//
+// - cloudinary: Cloudinary unsigned upload preset (cloudinary.js)
+// - local: server.js stores the file on disk (server-storage.js)
+//
+// An adapter is { name, upload(blob, filename) => Promise<string> }, resolving
+// to the image's absolute URL.
+
+import { cloudinaryStorage } from './cloudinary.js';
+import { serverStorage } from './server-storage.js';
+
+const ADAPTERS = {
+    [cloudinaryStorage.name]: cloudinaryStorage,
+    [serverStorage.name]: serverStorage,
+};
+
+/**
+ * The configured adapter. Cloudinary unless IMAGE_STORAGE=local is set, and
+ * when window.ENV didn't load.
+ */
+export function getImageStorage() {
+    const name = window.ENV?.IMAGE_STORAGE || cloudinaryStorage.name;
+    const adapter = ADAPTERS[name];
+    if (!adapter) {
+        throw new Error(`Unknown IMAGE_STORAGE "${name}" (expected ${Object.keys(ADAPTERS).join(' or ')})`);
+    }
+    return adapter;
+}
+
+/**
+ * Upload one image to the configured storage.
+ * @param {Blob} blob
+ * @param {string} [filename]
+ * @returns {Promise<string>} absolute URL of the stored image
+ */
+export function uploadImage(blob, filename = 'hazard.jpg') {
+    return getImageStorage().upload(blob, filename);
+}
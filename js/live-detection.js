@@ -2,58 +2,102 @@
 // Live Detection Module (Camera + Real-time)
 // ============================================
 
-import { auth, db } from '../firebase-config.js';
+import { auth } from '../firebase-config.js';
 import { showToast } from './app.js';
-import { uploadToCloudinary } from './upload.js';
-import {
-    collection,
-    doc,
-    runTransaction,
-    GeoPoint
-} from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
-
-let worker = null;
+import { getDetectionConfig, getPreferences } from './preferences.js';
+import { DetectorClient, formatModelVersion } from './detector-client.js';
+import { submitReport } from './report-queue.js';
+import { annotateImage, toStoredDetections } from './detection-overlay.js';
+import { estimateSeverity } from './severity.js';
+import { anonymizeCanvas, shouldAnonymize, getPrivacyModelStatus, privacyUploadBlocker } from './privacy-filter.js';
+import { findReportsNear } from './report-repository.js';
+import { HazardTracker } from './hazard-tracker.js';
+import { FrameScheduler } from './frame-scheduler.js';
+import { PositionTrack } from './position-track.js';
+import { DriveSession, countSessionHazards } from './drive-session.js';
+import { saveSession } from './session-repository.js';
+import { ReviewTray } from './review-tray.js';
+import { AlertPolicy, hazardsAhead } from './alert-policy.js';
+import { AudioAlerts } from './audio-alerts.js';
+import { distanceMeters } from './geo.js';
+
+let detector = null;
 let videoStream = null;
 let isDetecting = false;
-let isModelReady = false;
-let detectionInterval = null;
+let detectionAbort = null; // Cancels in-flight frames when detection stops
 let tracker = null;
-
-const CONFIDENCE_THRESHOLD = 0.45;
-const DETECTION_INTERVAL_MS = 250; // ~4 FPS inference
+let overlayFrame = null; // requestAnimationFrame handle for the overlay
+let frameTimer = null; // Wait before the next frame
+let videoFrameHandle = null; // Pending requestVideoFrameCallback
+let loopGeneration = 0; // Bumped on start/stop so a stale loop can't resume
+let powerMonitorStarted = false;
+let positionWatchId = null;
+let pausedWhileStationary = false;
+let driveSession = null; // Current Start → Stop run
+const pendingAutoSaves = new Set(); // Report saves the session waits for on Stop
+let reviewTray = null;
+const scheduler = new FrameScheduler();
+const positionTrack = new PositionTrack();
+const bestFrames = new WeakMap(); // track -> { canvas, rawCanvas, detection, time } of its highest-scoring sighting
+const alertPolicy = new AlertPolicy();
+const audioAlerts = new AudioAlerts();
+let nearbyCache = null; // { lat, lng, radiusM, fetchedAt, reports } around the last lookup
+let nearbyLookup = null; // Pending findReportsNear()
+
+const STATIONARY_POLL_MS = 1000; // How often to check for motion while paused
+const NEARBY_REFRESH_MS = 2 * 60 * 1000; // Re-read stored reports at least this often
 
 export function init() {
     setupWorker();
+    showPrivacyNotice();
     setupCamera();
     setupControls();
+    setupReviewTray();
+    setupHud();
+    startPowerMonitor();
+    startPositionWatch();
     tracker = new HazardTracker();
 }
 
 // ---------- Web Worker ----------
 function setupWorker() {
-    if (worker) worker.terminate();
-    worker = new Worker('js/worker.js');
-
-    worker.onmessage = (e) => {
-        const { type, data } = e.data;
-        switch (type) {
-            case 'model-loaded':
-                console.log('[Live] Model ready');
-                isModelReady = true;
-                const overlay = document.getElementById('model-loading-overlay');
-                if (overlay) overlay.classList.add('hidden');
-                updateStatus('Model loaded. Tap Start to begin.');
-                break;
-            case 'detection-result':
-                handleLiveDetection(data);
-                break;
-            case 'error':
-                console.error('[Live] Worker error:', data);
-                break;
-        }
-    };
+    if (detector) detector.terminate();
+    detector = new DetectorClient({ onStatus: updateStatus });
+
+    detector.ready()
+        .then(({ backend, warmupMs, modelVersion }) => {
+            console.log(`[Live] Model ${modelVersion} ready on ${backend}`);
+            const overlay = document.getElementById('model-loading-overlay');
+            if (overlay) overlay.classList.add('hidden');
+            updateStatus(`Model loaded (${formatBackend(backend, warmupMs)}). Tap Start to begin.`);
+            showModelVersion(modelVersion);
+            reviewTray?.setLabels(detector.modelInfo?.labels || []);
+        })
+        .catch((err) => {
+            console.error('[Live] Worker error:', err);
+            updateStatus('Failed to load model');
+        });
 
-    worker.postMessage({ type: 'load-model' });
+    detector.configure(getDetectionConfig())
+        .catch((err) => console.warn('[Live] Detection settings rejected:', err));
+}
+
+// Which export is running, as reported in the worker's `model-loaded` message
+function showModelVersion(modelVersion) {
+    const el = document.getElementById('model-version');
+    if (!el || !modelVersion) return;
+    el.textContent = `Model ${formatModelVersion(modelVersion)}`;
+    el.title = `Model version ${modelVersion}`;
+    el.classList.remove('hidden');
+}
+
+// Blurring fails closed, so say up front when a missing privacy model will block uploads
+async function showPrivacyNotice() {
+    const el = document.getElementById('privacy-notice');
+    if (!el) return;
+    const notice = privacyUploadBlocker(await getPrivacyModelStatus());
+    el.textContent = notice;
+    el.classList.toggle('hidden', !notice);
 }
 
 // ---------- Camera Setup ----------
@@ -83,65 +127,382 @@ async function setupCamera() {
 function setupControls() {
     const startBtn = document.getElementById('start-detection-btn');
     const stopBtn = document.getElementById('stop-detection-btn');
+    const shutterBtn = document.getElementById('shutter-btn');
+
+    if (shutterBtn) shutterBtn.addEventListener('click', captureManual);
 
     if (startBtn) {
         startBtn.addEventListener('click', () => {
             isDetecting = true;
+            detectionAbort = new AbortController();
+            tracker.reset();
+            driveSession = new DriveSession();
+            startAlerts();
             startDetectionLoop();
+            startOverlayLoop();
             startBtn.classList.add('hidden');
             stopBtn?.classList.remove('hidden');
-            updateStatus('Detecting...');
+            const backend = detector.modelInfo?.backend;
+            updateStatus(backend ? `Detecting (${backend.toUpperCase()})...` : 'Detecting...');
         });
     }
 
     if (stopBtn) {
         stopBtn.addEventListener('click', () => {
             isDetecting = false;
-            clearInterval(detectionInterval);
+            stopDetectionLoop();
+            stopOverlayLoop();
             stopBtn.classList.add('hidden');
             startBtn?.classList.remove('hidden');
             updateStatus('Detection paused');
+            finishDriveSession();
         });
     }
 }
 
+// ---------- Drive Session ----------
+// Each Start → Stop is stored with its route and the hazards found on it
+async function finishDriveSession() {
+    const session = driveSession;
+    driveSession = null;
+    if (!session) return;
+    session.finish();
+
+    // Reports still being saved belong to this drive
+    await Promise.allSettled([...pendingAutoSaves]);
+
+    const summary = session.summary();
+    if (summary.framesProcessed === 0) return; // Stopped before any frame ran
+
+    try {
+        await saveSession(auth.currentUser, summary);
+        const km = (summary.distanceM / 1000).toFixed(1);
+        const minutes = Math.round(summary.durationMs / 60000);
+        showToast(`Drive saved: ${km} km, ${minutes} min, ${countSessionHazards(summary)} hazard(s)`, 'success');
+    } catch (err) {
+        console.error('[Live] Failed to save drive session:', err);
+        showToast('Could not save drive summary', 'error');
+    }
+}
+
 // ---------- Detection Loop ----------
+// One frame in flight at a time: the next frame is captured only after the
+// previous result is back, and the scheduler spaces frames by measured
+// latency (and battery / thermal state) so slow devices never build a queue.
 function startDetectionLoop() {
+    loopGeneration++;
+    scheduler.reset();
+    pausedWhileStationary = false;
+    scheduleNextFrame(loopGeneration);
+}
+
+function stopDetectionLoop() {
+    loopGeneration++;
+    clearTimeout(frameTimer);
+    frameTimer = null;
     const video = document.getElementById('camera-feed');
-    if (!video) return;
+    if (videoFrameHandle !== null && video?.cancelVideoFrameCallback) {
+        video.cancelVideoFrameCallback(videoFrameHandle);
+    }
+    videoFrameHandle = null;
+    detectionAbort?.abort();
+}
+
+function scheduleNextFrame(generation) {
+    if (!isDetecting || generation !== loopGeneration) return;
+
+    frameTimer = setTimeout(() => {
+        frameTimer = null;
+        const video = document.getElementById('camera-feed');
+        if (!video || generation !== loopGeneration) return;
+
+        // Wait for a frame the camera hasn't delivered yet, where supported
+        if (video.requestVideoFrameCallback) {
+            videoFrameHandle = video.requestVideoFrameCallback(() => {
+                videoFrameHandle = null;
+                processFrame(video, generation);
+            });
+        } else {
+            processFrame(video, generation);
+        }
+    }, scheduler.delayMs(performance.now()));
+}
+
+async function processFrame(video, generation) {
+    if (shouldPauseForMotion()) {
+        setPausedWhileStationary(true);
+        frameTimer = setTimeout(() => scheduleNextFrame(generation), STATIONARY_POLL_MS);
+        return;
+    }
+    setPausedWhileStationary(false);
+
+    if (video.readyState < 2) {
+        // Camera not ready yet: poll at the fastest rate
+        frameTimer = setTimeout(() => scheduleNextFrame(generation), scheduler.options.minIntervalMs);
+        return;
+    }
+
+    const capturedAt = performance.now();
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(video);
+    } catch (err) {
+        // Ignore frame capture errors
+        scheduleNextFrame(generation);
+        return;
+    }
+    if (generation !== loopGeneration) {
+        bitmap.close();
+        return;
+    }
+
+    scheduler.frameStarted(capturedAt);
+    try {
+        const result = await detector.detect(bitmap, { signal: detectionAbort.signal });
+        scheduler.frameFinished(performance.now(), result.timings);
+        driveSession?.frameProcessed();
+        if (generation === loopGeneration) handleLiveDetection(result, capturedAt);
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+        scheduler.frameFinished(performance.now());
+        console.error('[Live] Detection error:', err);
+    }
 
-    detectionInterval = setInterval(async () => {
-        if (!isDetecting || video.readyState < 2) return;
+    updateHud();
+    scheduleNextFrame(generation);
+}
 
+// ---------- GPS Motion ----------
+// A continuous fix stream gives speed and heading for frame scheduling and
+// lets each report use the position at the moment its frame was captured.
+function startPositionWatch() {
+    if (!navigator.geolocation) return;
+    if (positionWatchId !== null) navigator.geolocation.clearWatch(positionWatchId);
+
+    positionWatchId = navigator.geolocation.watchPosition((position) => {
+        // Left the page: stop draining the battery
+        if (!document.getElementById('camera-feed')) {
+            stopPositionWatch();
+            return;
+        }
+        const fix = positionTrack.add(position);
+        if (isDetecting) driveSession?.addPosition(fix);
+        scheduler.setSpeed(positionTrack.motion(Date.now()).speed);
+        if (isDetecting) checkHazardsAhead(fix);
+    }, (err) => {
+        console.warn('[Live] GPS watch error:', err.message);
+    }, {
+        enableHighAccuracy: true,
+        maximumAge: 0,
+        timeout: 15000,
+    });
+}
+
+function stopPositionWatch() {
+    if (positionWatchId !== null) navigator.geolocation.clearWatch(positionWatchId);
+    positionWatchId = null;
+}
+
+function shouldPauseForMotion() {
+    if (!getPreferences().live.pauseWhenStationary) return false;
+    const motion = positionTrack.motion(Date.now());
+    // Stale GPS also refreshes the scheduler, so it stops scaling on an old speed
+    scheduler.setSpeed(motion.speed);
+    return motion.stationary;
+}
+
+function setPausedWhileStationary(paused) {
+    if (paused === pausedWhileStationary) return;
+    pausedWhileStationary = paused;
+    if (paused) {
+        updateStatus('Paused while stationary');
+    } else {
+        const backend = detector.modelInfo?.backend;
+        updateStatus(backend ? `Detecting (${backend.toUpperCase()})...` : 'Detecting...');
+    }
+}
+
+// ---------- Power State ----------
+// Battery and Compute Pressure (thermal) signals slow the frame rate down.
+// Both APIs are optional; without them the scheduler only follows latency.
+async function startPowerMonitor() {
+    if (powerMonitorStarted) return;
+    powerMonitorStarted = true;
+
+    if (navigator.getBattery) {
         try {
-            const bitmap = await createImageBitmap(video);
-            worker.postMessage({ type: 'detect', image: bitmap }, [bitmap]);
+            const battery = await navigator.getBattery();
+            const update = () => scheduler.setPowerState({ batteryLevel: battery.level, charging: battery.charging });
+            update();
+            battery.addEventListener('levelchange', update);
+            battery.addEventListener('chargingchange', update);
         } catch (err) {
-            // Ignore frame capture errors
+            console.warn('[Live] Battery status unavailable:', err);
         }
-    }, DETECTION_INTERVAL_MS);
+    }
+
+    if ('PressureObserver' in window) {
+        try {
+            const observer = new PressureObserver((records) => {
+                const latest = records[records.length - 1];
+                if (latest) scheduler.setPowerState({ pressure: latest.state });
+            });
+            await observer.observe('cpu');
+        } catch (err) {
+            console.warn('[Live] Compute pressure unavailable:', err);
+        }
+    }
+}
+
+// ---------- Performance HUD ----------
+function setupHud() {
+    const hud = document.getElementById('live-hud');
+    if (hud) hud.classList.toggle('hidden', !getPreferences().live.showHud);
+}
+
+function updateHud() {
+    const hud = document.getElementById('live-hud');
+    if (!hud || hud.classList.contains('hidden')) return;
+
+    const stats = scheduler.stats(performance.now());
+    const ms = (value) => (value === null ? '—' : `${Math.round(value)} ms`);
+    const lines = [
+        `${stats.fps.toFixed(1)} FPS`,
+        `Latency ${ms(stats.latencyMs)}`,
+        `Model ${ms(stats.inferenceMs)}`,
+        `Every ${ms(stats.intervalMs)}`,
+    ];
+    if (stats.speed !== null) lines.push(`Speed ${(stats.speed * 3.6).toFixed(0)} km/h`);
+    if (pausedWhileStationary) lines.push('Paused (stationary)');
+    if (stats.powerFactor > 1) {
+        const reasons = [];
+        if (stats.lowBattery) reasons.push('low battery');
+        if (stats.pressure === 'serious' || stats.pressure === 'critical') reasons.push(`thermal: ${stats.pressure}`);
+        lines.push(`Slowed ×${stats.powerFactor} (${reasons.join(', ')})`);
+    }
+    hud.textContent = lines.join('\n');
+}
+
+// ---------- Audio Alerts ----------
+// Spoken or tone alerts when a new hazard matures in the tracker, and when
+// a stored report lies on the road ahead. AlertPolicy rate-limits both.
+function startAlerts() {
+    const { alerts } = getPreferences();
+    audioAlerts.setMode(alerts.mode);
+    alertPolicy.setMuted(alerts.mutedClasses);
+    alertPolicy.reset();
+    audioAlerts.unlock(); // Start is a tap: the one chance to enable audio
+}
+
+function announceDetection(label) {
+    if (!audioAlerts.enabled || !alertPolicy.allowDetection(label, Date.now())) return;
+    audioAlerts.play('detection', `${label} ahead`);
+}
+
+function checkHazardsAhead(fix) {
+    const { alerts } = getPreferences();
+    if (!audioAlerts.enabled || !alerts.nearbyReports) return;
+
+    refreshNearbyReports(fix, alerts.aheadDistanceM);
+    if (!nearbyCache) return;
+
+    const now = Date.now();
+    const heading = positionTrack.motion(now).heading;
+    const ahead = hazardsAhead({ lat: fix.lat, lng: fix.lng, heading }, nearbyCache.reports, {
+        radiusM: alerts.aheadDistanceM,
+    });
+    const next = ahead.find(({ report }) => alertPolicy.allowNearby(report, now));
+    if (!next) return;
+
+    const metres = Math.max(10, Math.round(next.distance / 10) * 10);
+    audioAlerts.play('nearby', `Reported ${next.report.hazardType} in ${metres} metres`);
+}
+
+// Stored reports within a wider circle than the alert distance, so the
+// lookup only repeats after we've driven a good part of the way out of it
+function refreshNearbyReports(fix, aheadDistanceM) {
+    if (nearbyLookup || !navigator.onLine) return;
+    const radiusM = aheadDistanceM * 3;
+    if (nearbyCache) {
+        const moved = distanceMeters(nearbyCache, fix);
+        const fresh = Date.now() - nearbyCache.fetchedAt < NEARBY_REFRESH_MS;
+        if (fresh && nearbyCache.radiusM === radiusM && moved < radiusM - aheadDistanceM) return;
+    }
+
+    const lookup = { lat: fix.lat, lng: fix.lng, radiusM };
+    nearbyLookup = findReportsNear(lookup, radiusM)
+        .then((reports) => {
+            nearbyCache = { ...lookup, fetchedAt: Date.now(), reports };
+        })
+        .catch((err) => {
+            console.warn('[Live] Nearby reports lookup failed:', err);
+            // Don't retry on every fix; try again once the cache would expire
+            nearbyCache = { ...lookup, fetchedAt: Date.now(), reports: [] };
+        })
+        .finally(() => { nearbyLookup = null; });
 }
 
 // ---------- Handle Live Detections ----------
-function handleLiveDetection(data) {
+function handleLiveDetection(data, capturedAt) {
     const { detections } = data;
     const video = document.getElementById('camera-feed');
 
-    // Pass detections into the tracker
-    const activeTracks = tracker.update(detections, video);
+    // One frame in flight, so results arrive in capture order and timestamps only move forward
+    const { improved, confirmed, completed } = tracker.update(detections, capturedAt);
+    confirmed.forEach((track) => announceDetection(track.label));
+
+    // Keep the clearest frame of each hazard for its report
+    const now = performance.now();
+    const current = new Map(tracker.predict(now).map((box) => [box.id, box]));
+    improved.forEach((track) => {
+        const box = current.get(track.id);
+        const frame = captureFrameCanvas(video, track, box ? box.bbox : track.bbox);
+        if (frame) bestFrames.set(track, { ...frame, time: Date.now() });
+    });
+
+    completed.forEach((track) => {
+        driveSession?.hazardDetected(track.label);
+        trackSave(autoSaveReport(track, bestFrames.get(track), driveSession));
+    });
+}
 
-    // Draw tracking boxes
-    drawOverlay(activeTracks);
+// Saves in progress when Stop is pressed still make it into the drive summary
+function trackSave(promise) {
+    pendingAutoSaves.add(promise);
+    promise.finally(() => pendingAutoSaves.delete(promise));
+    return promise;
 }
 
 // ---------- Draw Overlay ----------
+// Redrawn every animation frame from the tracker's predicted boxes, so
+// boxes keep moving smoothly between inference results.
+function startOverlayLoop() {
+    stopOverlayLoop();
+    const draw = () => {
+        // Left the page: the canvas is gone
+        if (!document.getElementById('live-canvas')) {
+            overlayFrame = null;
+            return;
+        }
+        drawOverlay(tracker.predict(performance.now()));
+        overlayFrame = requestAnimationFrame(draw);
+    };
+    overlayFrame = requestAnimationFrame(draw);
+}
+
+function stopOverlayLoop() {
+    if (overlayFrame) cancelAnimationFrame(overlayFrame);
+    overlayFrame = null;
+    drawOverlay([]);
+}
+
 function drawOverlay(tracks) {
     const canvas = document.getElementById('live-canvas');
     const video = document.getElementById('camera-feed');
     if (!canvas || !video) return;
 
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+    if (canvas.width !== video.videoWidth) canvas.width = video.videoWidth;
+    if (canvas.height !== video.videoHeight) canvas.height = video.videoHeight;
     const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
@@ -149,14 +510,16 @@ function drawOverlay(tracks) {
 
     tracks.forEach((track) => {
         const [x, y, w, h] = track.bbox;
+        // Tentative tracks (seen once) are drawn fainter
+        const color = track.confirmed ? '#22c55e' : 'rgba(34, 197, 94, 0.5)';
 
         // Box
-        ctx.strokeStyle = '#22c55e';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 3;
         ctx.strokeRect(x, y, w, h);
 
         // Label background
-        ctx.fillStyle = '#22c55e';
+        ctx.fillStyle = color;
         const label = `${track.label} (ID: ${track.id})`;
         ctx.font = 'bold 14px Inter';
         const tw = ctx.measureText(label).width;
@@ -168,163 +531,156 @@ function drawOverlay(tracks) {
     });
 }
 
-// ---------- Object Tracking (IoU) ----------
-class HazardTracker {
-    constructor() {
-        this.tracks = [];
-        this.nextId = 1;
-        this.MAX_AGE = 5; // Frames to keep without seeing it
-        this.MIN_HITS = 2; // Frames seen before it's considered valid
-        this.IOU_THRESHOLD = 0.3; // Overlap required to match
+// ---------- Frame Capture ----------
+// The frame as captured (rawCanvas) plus a copy with the hazard's box drawn
+// in (canvas); detection is the box in frame pixels, null for a plain frame
+function captureFrameCanvas(video, track, bbox) {
+    try {
+        const rawCanvas = document.createElement('canvas');
+        rawCanvas.width = video.videoWidth;
+        rawCanvas.height = video.videoHeight;
+        rawCanvas.getContext('2d').drawImage(video, 0, 0, rawCanvas.width, rawCanvas.height);
+
+        // Manual capture with nothing detected: plain frame
+        if (!track || !bbox) return { canvas: rawCanvas, rawCanvas, detection: null };
+
+        const detection = { label: track.label, score: track.bestScore, bbox: [...bbox] };
+        return { canvas: annotateImage(rawCanvas, [detection]), rawCanvas, detection };
+    } catch (e) {
+        return null;
     }
+}
 
-    update(detections, videoElement) {
-        // Increment age of all tracks
-        this.tracks.forEach(t => t.age++);
-
-        // Match detections to existing tracks
-        const matchedDetections = new Set();
-
-        for (let track of this.tracks) {
-            let bestIoU = 0;
-            let bestDetIdx = -1;
-
-            for (let i = 0; i < detections.length; i++) {
-                if (matchedDetections.has(i)) continue;
-                if (detections[i].label !== track.label) continue;
-
-                const iou = this.calculateIoU(track.bbox, detections[i].bbox);
-                if (iou > bestIoU && iou > this.IOU_THRESHOLD) {
-                    bestIoU = iou;
-                    bestDetIdx = i;
-                }
-            }
-
-            if (bestDetIdx !== -1) {
-                const det = detections[bestDetIdx];
-                track.bbox = det.bbox;
-                track.age = 0; // Reset age since we saw it
-                track.hits++;
-
-                // Keep the clearest frame
-                if (det.score > track.bestScore) {
-                    track.bestScore = det.score;
-                    track.bestFrameCanvas = this.captureFrameCanvas(videoElement, track);
-                }
-                matchedDetections.add(bestDetIdx);
-            }
-        }
+// ---------- Manual Capture ----------
+// Shutter: save the current frame with GPS, even if the model saw nothing.
+// The highest-scoring visible hazard (if any) supplies the type and box.
+async function captureManual() {
+    const video = document.getElementById('camera-feed');
+    if (!video || video.readyState < 2) {
+        showToast('Camera not ready', 'error');
+        return;
+    }
 
-        // Create new tracks 
-        for (let i = 0; i < detections.length; i++) {
-            if (!matchedDetections.has(i)) {
-                const det = detections[i];
-                if (det.score >= CONFIDENCE_THRESHOLD) {
-                    const newTrack = {
-                        id: this.nextId++,
-                        label: det.label,
-                        bbox: det.bbox,
-                        age: 0,
-                        hits: 1,
-                        bestScore: det.score,
-                        saved: false
-                    };
-                    newTrack.bestFrameCanvas = this.captureFrameCanvas(videoElement, newTrack);
-                    this.tracks.push(newTrack);
-                }
-            }
-        }
+    const frameTime = Date.now();
+    const visible = tracker.predict(performance.now());
+    const best = visible.reduce((top, t) => (!top || t.score > top.score ? t : top), null);
+    const frame = captureFrameCanvas(video, best && { label: best.label, bestScore: best.score }, best?.bbox);
+    flashShutter();
 
-        // Process mature/lost tracks
-        const activeTracks = [];
-        for (let track of this.tracks) {
-            // Save if it's stable and we just lost track of it slightly
-            // This ensures we have the best frame before saving.
-            if (track.hits >= this.MIN_HITS && !track.saved && track.age === 1) {
-                track.saved = true;
-                autoSaveReport(track);
-            }
-
-            // Keep if not too old
-            if (track.age < this.MAX_AGE) {
-                activeTracks.push(track);
-            }
-        }
+    const gps = await resolveFramePosition(frameTime);
+    if (!gps) {
+        showToast('No GPS fix: capture not saved', 'error');
+        return;
+    }
+
+    const item = {
+        label: best?.label || null,
+        score: best?.score,
+        canvas: frame?.canvas || null,
+        rawCanvas: frame?.rawCanvas || null,
+        detection: frame?.detection || null,
+        frameTime,
+        gps,
+        session: driveSession,
+        manual: true,
+    };
 
-        this.tracks = activeTracks;
-        return this.tracks.filter(t => t.hits >= 1 && t.age < 2);
+    // Without a detected class the passenger has to pick one in the tray
+    if (getPreferences().live.reviewBeforeSave || !item.label) {
+        reviewTray.add(item);
+        if (!item.label) showToast('Choose a hazard type for the capture', 'info');
+        return;
     }
+    trackSave(saveLiveReport(item));
+}
 
-    calculateIoU(box1, box2) {
-        const [x1, y1, w1, h1] = box1;
-        const [x2, y2, w2, h2] = box2;
+function flashShutter() {
+    const flash = document.getElementById('shutter-flash');
+    if (!flash) return;
+    flash.classList.remove('opacity-0');
+    setTimeout(() => flash.classList.add('opacity-0'), 120);
+}
 
-        const xA = Math.max(x1, x2);
-        const yA = Math.max(y1, y2);
-        const xB = Math.min(x1 + w1, x2 + w2);
-        const yB = Math.min(y1 + h1, y2 + h2);
+// ---------- Review Tray ----------
+// Optional "review before save": matured tracks and manual captures wait in
+// a tray to be confirmed, relabelled or discarded. Items confirmed after
+// Stop are still saved, but the drive summary was already stored without them.
+function setupReviewTray() {
+    const container = document.getElementById('review-tray');
+    if (!container) return;
+
+    const pending = reviewTray?.items || [];
+    reviewTray = new ReviewTray(container, {
+        onConfirm: (item) => trackSave(saveLiveReport(item)),
+        onDiscard: (item) => console.log(`[Live] Discarded ${item.label || 'unlabelled'} capture`),
+        onOverflow: () => showToast('Review tray full: oldest capture discarded', 'info'),
+    });
+    // Keep anything still awaiting review from the last visit to the page
+    pending.forEach((item) => reviewTray.add(item));
+    if (detector?.modelInfo) reviewTray.setLabels(detector.modelInfo.labels || []);
+}
 
-        const interArea = Math.max(0, xB - xA) * Math.max(0, yB - yA);
-        const box1Area = w1 * h1;
-        const box2Area = w2 * h2;
-        const iou = interArea / parseFloat(box1Area + box2Area - interArea);
+// ---------- Auto-Save Report ----------
+async function autoSaveReport(track, bestFrame, session) {
+    const user = auth.currentUser;
+    if (!user) return;
 
-        return iou;
+    // Where we were when the saved frame was captured, not when saving runs
+    const frameTime = bestFrame?.time ?? Date.now();
+    const gps = await resolveFramePosition(frameTime);
+    if (!gps) {
+        console.warn('[Live] Could not get GPS for auto-save');
+        return;
     }
 
-    captureFrameCanvas(video, trackInfo) {
-        try {
-            const canvas = document.createElement('canvas');
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-            if (trackInfo) {
-                const [x, y, w, h] = trackInfo.bbox;
-
-                // Draw Box
-                ctx.strokeStyle = '#22c55e';
-                ctx.lineWidth = 3;
-                ctx.strokeRect(x, y, w, h);
-
-                // Draw Label Background
-                ctx.fillStyle = '#22c55e';
-                const label = `${trackInfo.label} ${(trackInfo.bestScore * 100).toFixed(0)}%`;
-                ctx.font = 'bold 14px Inter';
-                const tw = ctx.measureText(label).width;
-                ctx.fillRect(x, y - 22, tw + 8, 22);
-
-                // Draw Label Text
-                ctx.fillStyle = '#fff';
-                ctx.fillText(label, x + 4, y - 6);
-            }
-
-            return canvas;
-        } catch (e) {
-            return null;
-        }
+    const item = {
+        label: track.label,
+        score: track.bestScore,
+        canvas: bestFrame?.canvas || null,
+        rawCanvas: bestFrame?.rawCanvas || null,
+        detection: bestFrame?.detection || null,
+        hits: track.hits,
+        frameTime,
+        gps,
+        session,
+        trackId: track.id,
+    };
+
+    if (getPreferences().live.reviewBeforeSave) {
+        reviewTray.add(item);
+        return;
     }
+    await saveLiveReport(item);
 }
 
-// ---------- Auto-Save Report ----------
-async function autoSaveReport(track) {
-    const user = auth.currentUser;
-    if (!user) return;
+// Position at a frame's capture time, from the GPS watch or a one-off fix
+async function resolveFramePosition(frameTime) {
+    const gps = positionTrack.positionAt(frameTime);
+    if (gps) return gps;
 
-    // Get current location
-    let gps = null;
+    // No recent fix from the watch (GPS slow to start or denied): ask once
     try {
         const pos = await new Promise((resolve, reject) => {
             navigator.geolocation.getCurrentPosition(resolve, reject, {
                 enableHighAccuracy: true,
-                timeout: 5000,
+                timeout: 10000,
+                maximumAge: 5000,
             });
         });
-        gps = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+        return positionTrack.positionAt(positionTrack.add(pos).time);
     } catch {
-        console.warn('[Live] Could not get GPS for auto-save');
-        return;
+        return null;
+    }
+}
+
+async function saveLiveReport({ label, canvas, rawCanvas, detection, hits, frameTime, gps, session, trackId }) {
+    if (!auth.currentUser) return;
+
+    // Relabelled in the review tray: store the confirmed class on the box too,
+    // and redraw the annotated copy so it doesn't show the model's class
+    if (detection && detection.label !== label) {
+        detection = { ...detection, label };
+        canvas = annotateImage(rawCanvas, [detection]);
     }
 
     try {
@@ -333,62 +689,75 @@ async function autoSaveReport(track) {
         if (window.google) {
             try {
                 const geocoder = new google.maps.Geocoder();
-                const res = await geocoder.geocode({ location: gps });
+                const res = await geocoder.geocode({ location: { lat: gps.lat, lng: gps.lng } });
                 if (res.results?.[0]) address = res.results[0].formatted_address;
             } catch { /* continue without address */ }
         }
 
-        // Save to Firestore
-        const now = new Date();
-        const dd = String(now.getDate()).padStart(2, '0');
-        const mm = String(now.getMonth() + 1).padStart(2, '0');
-        const yy = String(now.getFullYear()).slice(-2);
-        const hh = String(now.getHours()).padStart(2, '0');
-        const min = String(now.getMinutes()).padStart(2, '0');
-        const formattedDate = `${dd}/${mm}/${yy} ${hh}:${min}`;
-
-        // Upload image if we have it
-        let imageUrl = '';
-        if (track.bestFrameCanvas) {
-            try {
-                const blob = await new Promise(resolve => track.bestFrameCanvas.toBlob(resolve, 'image/jpeg', 0.8));
-                if (blob) {
-                    imageUrl = await uploadToCloudinary(blob, `hazard_live_${Date.now()}.jpg`);
-                }
-            } catch (blurErr) {
-                console.warn('[Live] Image upload failed', blurErr);
-            }
+        // Faces and plates are found on the plain frame and pixelated on both copies
+        if (rawCanvas && shouldAnonymize()) {
+            await anonymizeCanvas(detector, rawCanvas, canvas && canvas !== rawCanvas ? [canvas] : []);
         }
 
-        const counterRef = doc(db, 'metadata', 'reportCounter');
-        const newReportRef = doc(collection(db, 'reports'));
-
-        await runTransaction(db, async (transaction) => {
-            const counterDoc = await transaction.get(counterRef);
-            let nextId = 1;
-            if (counterDoc.exists()) {
-                nextId = (counterDoc.data().count || 0) + 1;
-            }
-            transaction.set(counterRef, { count: nextId });
-            transaction.set(newReportRef, {
-                id: nextId,
-                hazardType: track.label,
-                date: formattedDate,
-                coordinate: new GeoPoint(gps.lat, gps.lng),
+        let blob = null;
+        if (canvas) {
+            blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        }
+        // Unannotated frame, so the dashboard can redraw (or hide) the box
+        let rawBlob = null;
+        if (rawCanvas && detection) {
+            rawBlob = await new Promise(resolve => rawCanvas.toBlob(resolve, 'image/jpeg', 0.8));
+        }
+
+        // Saved now, merged into a nearby report of the same hazard, or queued
+        // on the device (with the image) until we're back online
+        const detections = detection ? toStoredDetections([detection], rawCanvas.width, rawCanvas.height) : [];
+        // Tracked hazards also rate by how many frames they stayed in view
+        const severity = estimateSeverity({ detections, hits: hits ?? null })?.level ?? null;
+
+        const { status, reportId } = await submitReport({
+            blob,
+            rawBlob,
+            filename: `hazard_live_${Date.now()}.jpg`,
+            report: {
+                hazardType: label,
+                lat: gps.lat,
+                lng: gps.lng,
                 address,
-                imageUrl: imageUrl,
-                reportedBy: user.displayName || user.email || 'Unknown User',
-                status: 'new',
-            });
+                capturedAt: frameTime,
+                accuracy: gps.accuracy,
+                speed: gps.speed,
+                heading: gps.heading,
+                locationSource: 'device',
+                detections,
+                severity,
+            },
+            dedupe: true,
         });
 
-        showToast(`Auto-saved: ${track.label} (ID: ${track.id})`, 'success');
+        session?.hazardSaved({ reportId, hazardType: label, lat: gps.lat, lng: gps.lng, time: frameTime, status });
+        // Already announced as it came into view
+        alertPolicy.markAnnounced(reportId, Date.now());
+
+        const prefix = { queued: 'Queued offline', confirmed: 'Confirmed existing report', saved: 'Saved' }[status];
+        const suffix = trackId ? ` (ID: ${trackId})` : '';
+        showToast(`${prefix}: ${label}${suffix}`, status === 'queued' ? 'info' : 'success');
     } catch (err) {
-        console.error('[Live] Auto-save error:', err);
+        console.error('[Live] Save error:', err);
+        if (err.name === 'PrivacyFilterError') {
+            showToast(`Could not blur faces and plates, ${label} report not uploaded`, 'error');
+        } else {
+            showToast(`Could not save ${label} report`, 'error');
+        }
     }
 }
 
 // ---------- Helpers ----------
+function formatBackend(backend, warmupMs) {
+    const note = backend === 'cpu' ? ', slow' : '';
+    return `${backend.toUpperCase()}${note}, warm-up ${Math.round(warmupMs)} ms`;
+}
+
 function updateStatus(text) {
     const el = document.getElementById('detection-status');
     if (el) el.textContent = text;
@@ -399,6 +768,8 @@ window.addEventListener('beforeunload', () => {
     if (videoStream) {
         videoStream.getTracks().forEach((t) => t.stop());
     }
-    if (worker) worker.terminate();
-    clearInterval(detectionInterval);
+    if (detector) detector.terminate();
+    stopDetectionLoop();
+    stopOverlayLoop();
+    stopPositionWatch();
 });
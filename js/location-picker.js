@@ -0,0 +1,230 @@
+// ============================================
+// Location Picker (manual location for reports)
+// ============================================
+// Fallback when a photo has no EXIF GPS (messaging apps strip it): a modal
+// with a draggable map pin, address search and "use my current location".
+// open() resolves with the chosen position and where it came from:
+//   'device' - the phone's current location
+//   'manual' - pin dropped / dragged or an address searched
+// Map and search need the Google Maps script loaded by index.html; without
+// it only the current location is offered.
+
+const DEFAULT_CENTER = { lat: 32.0853, lng: 34.7818 }; // Tel Aviv, same as the dashboard
+const LAST_LOCATION_KEY = 'hazard-last-picked-location';
+
+export class LocationPicker {
+    /**
+     * @param {HTMLElement} container - empty element the modal is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.map = null;
+        this.marker = null;
+        this.geocoder = null;
+        this.resolve = null;
+        this.choice = null; // { lat, lng, accuracy, address, source }
+        this.geocodeRequest = 0;
+    }
+
+    /**
+     * Show the picker.
+     * @param {object} [options]
+     * @param {{ lat: number, lng: number, source?: string, address?: string }} [options.initial] - where
+     *   to put the pin first
+     * @param {string} [options.title]
+     * @returns {Promise<{ lat: number, lng: number, accuracy: number|null, address: string,
+     *                     source: string }|null>} null when cancelled
+     */
+    open({ initial = null, title = 'Set hazard location' } = {}) {
+        if (this.resolve) this.close(null);
+        this.choice = null;
+        this.render(title);
+        this.container.classList.remove('hidden');
+
+        const center = initial || readLastLocation() || DEFAULT_CENTER;
+        this.setupMap(center);
+        // Confirming an unmoved pin keeps the initial position's source
+        if (initial) this.setChoice({ accuracy: null, source: 'manual', ...initial }, initial.address);
+
+        return new Promise((resolve) => { this.resolve = resolve; });
+    }
+
+    // ---------- Internals ----------
+    render(title) {
+        const hasMaps = Boolean(window.google?.maps);
+        this.container.innerHTML = `
+          <div class="fixed inset-0 z-50 bg-black/70 flex items-end md:items-center justify-center" data-picker-backdrop>
+            <div class="glass-card w-full md:max-w-lg p-4 space-y-3 rounded-b-none md:rounded-2xl">
+              <div class="flex items-center justify-between">
+                <h2 class="text-base font-semibold">${title}</h2>
+                <button data-picker-action="cancel" class="text-dark-400 hover:text-white text-xl leading-none">×</button>
+              </div>
+              ${hasMaps ? `
+              <form data-picker-search class="flex gap-2">
+                <input type="search" placeholder="Search address" class="input-field py-2" />
+                <button type="submit" class="btn btn-secondary text-sm py-2">Search</button>
+              </form>
+              <div data-picker-map class="w-full h-72 rounded-xl overflow-hidden bg-dark-800"></div>
+              <p class="text-xs text-dark-500">Drag the pin or tap the map to move it.</p>` : `
+              <p class="text-sm text-dark-400">Map unavailable: use your current location instead.</p>`}
+              <button data-picker-action="device" class="btn btn-secondary w-full text-sm py-2">📍 Use my current location</button>
+              <p data-picker-address class="text-sm text-dark-300 min-h-[1.25rem]"></p>
+              <div class="flex gap-3">
+                <button data-picker-action="cancel" class="btn btn-secondary flex-1">Cancel</button>
+                <button data-picker-action="confirm" class="btn btn-primary flex-1" disabled>Use This Location</button>
+              </div>
+            </div>
+          </div>`;
+
+        this.container.querySelectorAll('[data-picker-action]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.pickerAction;
+                if (action === 'cancel') this.close(null);
+                else if (action === 'confirm') this.close(this.choice && { ...this.choice });
+                else if (action === 'device') this.useDeviceLocation(btn);
+            });
+        });
+        this.container.querySelector('[data-picker-backdrop]').addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-picker-backdrop')) this.close(null);
+        });
+        this.container.querySelector('[data-picker-search]')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchAddress(e.target.querySelector('input').value.trim());
+        });
+    }
+
+    setupMap(center) {
+        const mapEl = this.container.querySelector('[data-picker-map]');
+        if (!mapEl || !window.google?.maps) {
+            this.map = null;
+            this.marker = null;
+            this.geocoder = null;
+            return;
+        }
+
+        this.geocoder = new google.maps.Geocoder();
+        this.map = new google.maps.Map(mapEl, {
+            center,
+            zoom: 16,
+            disableDefaultUI: true,
+            zoomControl: true,
+            clickableIcons: false,
+        });
+        this.marker = new google.maps.Marker({ position: center, map: this.map, draggable: true });
+
+        this.marker.addListener('dragend', () => {
+            const pos = this.marker.getPosition();
+            this.setChoice({ lat: pos.lat(), lng: pos.lng(), accuracy: null, source: 'manual' });
+        });
+        this.map.addListener('click', (e) => {
+            this.setChoice({ lat: e.latLng.lat(), lng: e.latLng.lng(), accuracy: null, source: 'manual' });
+        });
+    }
+
+    async searchAddress(text) {
+        if (!text || !this.geocoder) return;
+        try {
+            const { results } = await this.geocoder.geocode({ address: text });
+            if (!results?.[0]) {
+                this.setAddressText('No address found');
+                return;
+            }
+            const location = results[0].geometry.location;
+            this.setChoice({
+                lat: location.lat(),
+                lng: location.lng(),
+                accuracy: null,
+                source: 'manual',
+            }, results[0].formatted_address);
+        } catch (err) {
+            console.warn('[Picker] Address search failed:', err);
+            this.setAddressText('No address found');
+        }
+    }
+
+    async useDeviceLocation(btn) {
+        if (!navigator.geolocation) {
+            this.setAddressText('Location is not available on this device');
+            return;
+        }
+        btn.disabled = true;
+        this.setAddressText('Getting your location...');
+        try {
+            const pos = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: true,
+                    timeout: 15000,
+                    maximumAge: 10000,
+                });
+            });
+            this.setChoice({
+                lat: pos.coords.latitude,
+                lng: pos.coords.longitude,
+                accuracy: pos.coords.accuracy ?? null,
+                source: 'device',
+            });
+        } catch (err) {
+            console.warn('[Picker] Current location failed:', err.message);
+            this.setAddressText('Could not get your location. Check location permissions.');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    // Move the pin to the new choice and look its address up (unless known)
+    setChoice(choice, address = null) {
+        const request = ++this.geocodeRequest; // Only the latest pin position's address is kept
+        this.choice = { ...choice, address: address || '' };
+        if (this.marker) {
+            this.marker.setPosition({ lat: choice.lat, lng: choice.lng });
+            this.map.panTo({ lat: choice.lat, lng: choice.lng });
+        }
+        const confirmBtn = this.container.querySelector('[data-picker-action="confirm"]');
+        if (confirmBtn) confirmBtn.disabled = false;
+
+        const coords = `${choice.lat.toFixed(5)}, ${choice.lng.toFixed(5)}`;
+        if (address) {
+            this.setAddressText(address);
+            return;
+        }
+        this.setAddressText(coords);
+        if (!this.geocoder) return;
+
+        this.geocoder.geocode({ location: { lat: choice.lat, lng: choice.lng } })
+            .then(({ results }) => {
+                if (request !== this.geocodeRequest || !results?.[0]) return;
+                this.choice.address = results[0].formatted_address;
+                this.setAddressText(this.choice.address);
+            })
+            .catch(() => { /* keep the coordinates */ });
+    }
+
+    setAddressText(text) {
+        const el = this.container.querySelector('[data-picker-address]');
+        if (el) el.textContent = text;
+    }
+
+    close(result) {
+        if (result) {
+            localStorage.setItem(LAST_LOCATION_KEY, JSON.stringify({ lat: result.lat, lng: result.lng }));
+        }
+        this.geocodeRequest++; // Drop any address lookup still running
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        this.map = null;
+        this.marker = null;
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(result);
+    }
+}
+
+// Start near the last picked spot: survey photos are usually from one area
+function readLastLocation() {
+    try {
+        const last = JSON.parse(localStorage.getItem(LAST_LOCATION_KEY));
+        return Number.isFinite(last?.lat) && Number.isFinite(last?.lng) ? last : null;
+    } catch {
+        return null;
+    }
+}
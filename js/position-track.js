@@ -0,0 +1,175 @@
+// ============================================
+// Position Track (GPS fixes -> motion + per-frame position)
+// ============================================
+// Pure module, no DOM. Live detection feeds it every fix from
+// navigator.geolocation.watchPosition(); it answers "how fast and which
+// way are we going", "are we parked", and "where were we at this frame
+// time" by interpolating between the fixes around that moment.
+//
+// Times are epoch ms (GeolocationPosition.timestamp); speeds m/s,
+// headings degrees clockwise from north, distances metres.
+
+import { distanceMeters, bearingDegrees, destinationPoint } from './geo.js';
+
+const DEFAULTS = {
+    historyMs: 60 * 1000,      // Fixes kept for interpolation
+    maxExtrapolateMs: 3000,    // Dead-reckon past the newest fix at most this far
+    maxFixAgeMs: 10 * 1000,    // Older than this, motion readings are stale
+    stopSpeed: 0.5,            // Below this (m/s) for `stopAfterMs` counts as stationary
+    moveSpeed: 1.5,            // Above this it's moving again (hysteresis)
+    stopAfterMs: 3000,
+    speedSmoothing: 0.4,       // EMA weight of the newest speed reading
+};
+
+export class PositionTrack {
+    /**
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.fixes = [];
+        this.speed = null;     // Smoothed m/s
+        this.heading = null;   // Degrees, last reading taken while moving
+        this.stationary = false;
+        this.slowSince = null;
+    }
+
+    /**
+     * Record a fix.
+     * @param {{ timestamp: number, coords: GeolocationCoordinates }} position
+     * @returns {object} the stored fix
+     */
+    add({ timestamp, coords }) {
+        const fix = {
+            time: timestamp,
+            lat: coords.latitude,
+            lng: coords.longitude,
+            accuracy: coords.accuracy ?? null,
+            speed: Number.isFinite(coords.speed) ? coords.speed : null,
+            heading: Number.isFinite(coords.heading) ? coords.heading : null,
+        };
+
+        const previous = this.fixes[this.fixes.length - 1];
+        if (previous && fix.time <= previous.time) return previous; // Duplicate or out of order
+
+        // Some devices never report speed/heading: derive them from the last fix
+        if (previous) {
+            const dt = (fix.time - previous.time) / 1000;
+            const distance = distanceMeters(previous, fix);
+            if (fix.speed === null && dt > 0) fix.speed = distance / dt;
+            // Below a few metres the bearing is mostly GPS noise
+            if (fix.heading === null && distance > Math.max(3, fix.accuracy || 0)) {
+                fix.heading = bearingDegrees(previous, fix);
+            }
+        }
+
+        this.fixes.push(fix);
+        const cutoff = fix.time - this.options.historyMs;
+        while (this.fixes.length > 2 && this.fixes[0].time < cutoff) this.fixes.shift();
+
+        this.updateMotion(fix);
+        return fix;
+    }
+
+    /**
+     * Current motion readings.
+     * @param {number} now - epoch ms
+     * @returns {{ speed: number|null, heading: number|null, stationary: boolean, accuracy: number|null, stale: boolean }}
+     */
+    motion(now) {
+        const latest = this.fixes[this.fixes.length - 1];
+        const stale = !latest || now - latest.time > this.options.maxFixAgeMs;
+        return {
+            speed: stale ? null : this.speed,
+            heading: this.heading,
+            // Without fresh fixes we can't claim to be parked
+            stationary: !stale && this.stationary,
+            accuracy: latest?.accuracy ?? null,
+            stale,
+        };
+    }
+
+    /**
+     * Position at `time`, interpolated between the surrounding fixes, or
+     * dead-reckoned a little past the newest one. Null when there's no fix
+     * close enough in time.
+     * @param {number} time - epoch ms
+     * @returns {{ lat: number, lng: number, accuracy: number|null, speed: number|null,
+     *             heading: number|null, interpolated: boolean }|null}
+     */
+    positionAt(time) {
+        const { fixes } = this;
+        if (fixes.length === 0) return null;
+
+        const first = fixes[0];
+        const last = fixes[fixes.length - 1];
+        if (time < first.time - this.options.maxExtrapolateMs) return null;
+        if (time <= first.time) return this.fromFix(first, false);
+
+        if (time >= last.time) {
+            const ahead = time - last.time;
+            if (ahead > this.options.maxExtrapolateMs) return null;
+            // Dead reckoning along the last known heading
+            if (!this.stationary && last.speed && last.heading !== null) {
+                const point = destinationPoint(last, last.heading, last.speed * ahead / 1000);
+                return { ...this.fromFix(last, true), ...point };
+            }
+            return this.fromFix(last, ahead > 0);
+        }
+
+        // Binary search for the pair of fixes around `time`
+        let lo = 0;
+        let hi = fixes.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (fixes[mid].time <= time) lo = mid; else hi = mid;
+        }
+        const a = fixes[lo];
+        const b = fixes[hi];
+        const t = (time - a.time) / (b.time - a.time);
+
+        return {
+            lat: a.lat + (b.lat - a.lat) * t,
+            lng: a.lng + (b.lng - a.lng) * t,
+            // The less certain of the two fixes
+            accuracy: a.accuracy !== null && b.accuracy !== null ? Math.max(a.accuracy, b.accuracy) : (a.accuracy ?? b.accuracy),
+            speed: a.speed !== null && b.speed !== null ? a.speed + (b.speed - a.speed) * t : (b.speed ?? a.speed),
+            heading: b.heading ?? a.heading,
+            interpolated: true,
+        };
+    }
+
+    // ---------- Internals ----------
+    fromFix(fix, interpolated) {
+        return {
+            lat: fix.lat,
+            lng: fix.lng,
+            accuracy: fix.accuracy,
+            speed: fix.speed,
+            heading: fix.heading ?? this.heading,
+            interpolated,
+        };
+    }
+
+    updateMotion(fix) {
+        const { speedSmoothing, stopSpeed, moveSpeed, stopAfterMs } = this.options;
+
+        if (fix.speed !== null) {
+            this.speed = this.speed === null ? fix.speed : this.speed + speedSmoothing * (fix.speed - this.speed);
+        }
+        if (fix.heading !== null && (fix.speed === null || fix.speed >= stopSpeed)) {
+            this.heading = fix.heading;
+        }
+        if (this.speed === null) return;
+
+        if (this.speed >= moveSpeed) {
+            this.stationary = false;
+            this.slowSince = null;
+        } else if (this.speed < stopSpeed) {
+            if (this.slowSince === null) this.slowSince = fix.time;
+            if (fix.time - this.slowSince >= stopAfterMs) this.stationary = true;
+        } else {
+            this.slowSince = null;
+        }
+    }
+}
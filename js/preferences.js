@@ -0,0 +1,80 @@
+// ============================================
+// User Preferences (per user, stored on device)
+// ============================================
+
+import { auth } from '../firebase-config.js';
+
+const STORAGE_PREFIX = 'hazard-prefs:';
+
+const DEFAULTS = {
+    detection: {
+        // Per-class minimum confidence, keyed by model label as the worker reports it ("Crack", "Pothole")
+        scoreThresholds: {},
+        defaultScoreThreshold: 0.45,
+        iouThreshold: 0.5,
+        maxDetections: 20,
+    },
+    live: {
+        showHud: false, // FPS / latency overlay on the Live page
+        pauseWhenStationary: true, // Skip inference while GPS says we're parked
+        reviewBeforeSave: false, // Hold matured tracks in a tray instead of saving them straight away
+    },
+    alerts: {
+        mode: 'off', // 'off' | 'tone' | 'voice' while live detection runs
+        nearbyReports: true, // Also announce stored reports on the road ahead
+        aheadDistanceM: 200,
+        mutedClasses: [], // Model labels that never alert
+    },
+    upload: {
+        tiledInference: false, // Sliced inference for high-resolution photos (slower, finds small cracks)
+        tileSize: 640, // Tile edge in original image pixels
+    },
+    privacy: {
+        // Pixelate faces and licence plates before upload: 'on' (nothing is uploaded
+        // unblurred, even without a privacy model) or 'off'. See getBlurMode() in privacy-filter.js
+        blurMode: 'on',
+    },
+};
+
+function storageKey() {
+    const uid = auth.currentUser?.uid || 'anonymous';
+    return `${STORAGE_PREFIX}${uid}`;
+}
+
+/**
+ * Read the signed-in user's preferences, filled in with defaults.
+ * @returns {typeof DEFAULTS}
+ */
+export function getPreferences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(storageKey())) || {};
+    } catch (err) {
+        console.warn('[Preferences] Ignoring unreadable preferences:', err);
+    }
+
+    const prefs = {};
+    Object.keys(DEFAULTS).forEach((section) => {
+        prefs[section] = { ...DEFAULTS[section], ...(stored[section] || {}) };
+    });
+    return prefs;
+}
+
+/**
+ * Merge one section of preferences and persist it for the signed-in user.
+ * @param {string} section - e.g. 'detection'
+ * @param {object} values
+ */
+export function savePreferences(section, values) {
+    const stored = getPreferences();
+    stored[section] = { ...stored[section], ...values };
+    localStorage.setItem(storageKey(), JSON.stringify(stored));
+    return stored;
+}
+
+/**
+ * The detection settings in the shape the worker's `configure` message expects.
+ */
+export function getDetectionConfig() {
+    return getPreferences().detection;
+}
@@ -0,0 +1,132 @@
+// ============================================
+// Privacy Filter (faces and licence plates)
+// ============================================
+// Anonymizes street imagery before it leaves the device: the worker's
+// privacy model finds faces and licence plates, and they are pixelated on
+// the canvases about to be uploaded. Pixelation rather than a canvas blur
+// filter, because ctx.filter isn't available in every browser (Safari) and
+// coarse blocks can't be sharpened back.
+//
+// Blurring is on by default and fails closed: if the check can't run (privacy
+// model missing, worker error) a PrivacyFilterError is thrown, so callers
+// don't upload an image that wasn't checked. Only Settings → Privacy → Off
+// skips it (see shouldAnonymize).
+
+import { getPreferences } from './preferences.js';
+
+const REGION_PADDING = 0.15; // Grow each region by this share of its size on every side
+const BLOCKS_ACROSS = 8; // Mosaic cells along the region's longer side
+const MIN_BLOCK_PX = 6;
+
+const PRIVACY_METADATA_URL = '/assets/model/privacy/metadata.yaml';
+
+export const BLUR_MODES = ['on', 'off'];
+
+/**
+ * Settings → Privacy. Anything but an explicit 'off' blurs, so images are never
+ * uploaded unchecked by default.
+ * @param {object} [privacy] - the `privacy` preferences section
+ * @returns {'on'|'off'}
+ */
+export function getBlurMode(privacy = getPreferences().privacy) {
+    return privacy.blurMode === 'off' ? 'off' : 'on';
+}
+
+/**
+ * Whether an image must go through anonymizeCanvas() before upload.
+ * @returns {boolean}
+ */
+export function shouldAnonymize() {
+    return getBlurMode() === 'on';
+}
+
+/**
+ * Whether the privacy model is deployed, from its metadata.yaml alone, so
+ * nothing has to be loaded to tell. The static server answers 404 for a
+ * missing file; the worker loads the model itself on first use.
+ * @returns {Promise<{ status: 'installed'|'missing'|'unreachable', error?: string }>}
+ */
+export async function getPrivacyModelStatus() {
+    try {
+        const res = await fetch(PRIVACY_METADATA_URL, { cache: 'no-store' });
+        if (res.ok) return { status: 'installed' };
+        if (res.status === 404) return { status: 'missing' };
+        return { status: 'unreachable', error: `HTTP ${res.status}` };
+    } catch (err) {
+        return { status: 'unreachable', error: err.message };
+    }
+}
+
+/**
+ * Why images can't be uploaded right now, for the Settings, Upload and Live
+ * pages; '' when blurring is off or the privacy model is deployed.
+ * @param {{ status: string, error?: string }} modelStatus - from getPrivacyModelStatus()
+ * @returns {string}
+ */
+export function privacyUploadBlocker({ status, error }) {
+    if (getBlurMode() === 'off') return '';
+    if (status === 'missing') {
+        return 'No privacy model in /assets/model/privacy/, so photos can\'t be uploaded. Deploy one, or turn blurring off in Settings → Privacy.';
+    }
+    if (status === 'unreachable') {
+        return `The privacy model can't be reached (${error}), so photos can't be uploaded until it can.`;
+    }
+    return '';
+}
+
+/**
+ * Pixelate faces and plates in place.
+ * @param {import('./detector-client.js').DetectorClient} detector
+ * @param {HTMLCanvasElement} canvas - the raw image: searched and anonymized
+ * @param {HTMLCanvasElement[]} [alsoApplyTo] - same-size copies (e.g. with boxes drawn in)
+ *   that get the same regions pixelated
+ * @returns {Promise<number>} regions anonymized
+ * @throws {Error} named PrivacyFilterError when the image couldn't be checked
+ */
+export async function anonymizeCanvas(detector, canvas, alsoApplyTo = []) {
+    let regions;
+    try {
+        await detector.ready();
+        const bitmap = await createImageBitmap(canvas);
+        ({ regions } = await detector.detectPrivacyRegions(bitmap));
+    } catch (err) {
+        const error = new Error(`Could not check the image for faces and plates: ${err.message}`);
+        error.name = 'PrivacyFilterError';
+        throw error;
+    }
+
+    [canvas, ...alsoApplyTo].forEach((target) => pixelateRegions(target, regions));
+    if (regions.length > 0) console.log(`[Privacy] Pixelated ${regions.length} face / plate region(s)`);
+    return regions.length;
+}
+
+/**
+ * Replace each region (padded) with a coarse mosaic of itself.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ bbox: number[] }[]} regions - [x, y, w, h] in canvas pixels
+ */
+export function pixelateRegions(canvas, regions) {
+    const ctx = canvas.getContext('2d');
+
+    regions.forEach(({ bbox }) => {
+        const padX = bbox[2] * REGION_PADDING;
+        const padY = bbox[3] * REGION_PADDING;
+        const x = Math.max(0, Math.floor(bbox[0] - padX));
+        const y = Math.max(0, Math.floor(bbox[1] - padY));
+        const w = Math.min(canvas.width, Math.ceil(bbox[0] + bbox[2] + padX)) - x;
+        const h = Math.min(canvas.height, Math.ceil(bbox[1] + bbox[3] + padY)) - y;
+        if (w <= 0 || h <= 0) return;
+
+        // Shrink the region to a few cells, then scale it back up without smoothing
+        const block = Math.max(MIN_BLOCK_PX, Math.ceil(Math.max(w, h) / BLOCKS_ACROSS));
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(w / block));
+        small.height = Math.max(1, Math.ceil(h / block));
+        small.getContext('2d').drawImage(canvas, x, y, w, h, 0, 0, small.width, small.height);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+        ctx.restore();
+    });
+}
@@ -0,0 +1,283 @@
+// ============================================
+// Offline Report Queue (IndexedDB + Background Sync)
+// ============================================
+// Reports that can't be saved right away (offline, upload or Firestore
+// failure) are kept on the device with their image, GPS and metadata,
+// then retried with exponential backoff. sw.js asks an open app window
+// to replay the queue when Background Sync fires.
+
+import { auth } from '../firebase-config.js';
+import { uploadImage } from './image-storage.js';
+import { createReport, confirmReport, findNearbyReport, generateReportId, validateReport } from './report-repository.js';
+
+const DB_NAME = 'hazard-detection';
+const DB_VERSION = 1;
+const STORE = 'pending-reports';
+export const REPORT_SYNC_TAG = 'report-queue';
+export const QUEUE_CHANGED_EVENT = 'report-queue-changed';
+
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const MAX_SIGHTING_IMAGES = 5; // Confirmations stop attaching images once a report has this many
+
+let processing = null; // In-flight processQueue() promise
+let pollTimer = null;
+
+// ---------- IndexedDB ----------
+let dbPromise = null;
+
+function openQueueDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('uid', 'uid');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const idb = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const tx = idb.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ---------- Public API ----------
+
+/**
+ * Save a report now, or keep it on the device and retry later.
+ * @param {object} entry
+ * @param {Blob} entry.blob - image to upload, with the detection boxes drawn in
+ * @param {Blob} [entry.rawBlob] - the same image without boxes
+ * @param {string} entry.filename
+ * @param {{ hazardType: string, lat: number, lng: number, address?: string, capturedAt?: number,
+ *           accuracy?: number, speed?: number, heading?: number, locationSource?: string,
+ *           detections?: object[], severity?: string }} entry.report
+ * @param {boolean} [entry.dedupe] - if an open report of the same type is nearby, confirm it instead
+ *   of creating a new one (checked when the report is written, so queued reports are covered too)
+ * @returns {Promise<{ status: 'saved'|'confirmed'|'queued', reportId: string }>}
+ *   reportId is the new report, or the existing one a sighting was merged into.
+ *   The ID is assigned up front, so a queued report keeps it when it is finally written
+ *   as a new report; with dedupe it may instead be merged into another one then.
+ *   Invalid reports are rejected here rather than queued.
+ */
+export async function submitReport({ blob, rawBlob = null, filename, report, dedupe = false }) {
+    const user = auth.currentUser;
+    if (!user) throw new Error('Not signed in');
+
+    const entry = {
+        reportId: generateReportId(),
+        uid: user.uid,
+        reporterName: user.displayName || user.email || 'Unknown User',
+        blob,
+        rawBlob,
+        filename,
+        report: { ...report, capturedAt: report.capturedAt || Date.now() },
+        dedupe,
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+    };
+
+    const errors = validateReport(toReportFields(entry));
+    if (errors.length > 0) throw new Error(`Invalid report: ${errors.join('; ')}`);
+
+    if (navigator.onLine) {
+        try {
+            return await writeReport(entry);
+        } catch (err) {
+            console.warn('[Queue] Save failed, queueing report:', err);
+            entry.attempts = 1;
+            entry.nextAttemptAt = Date.now() + retryDelay(1);
+            entry.lastError = err.message;
+        }
+    }
+
+    await withStore('readwrite', (store) => store.add(entry));
+    notifyChanged();
+    registerBackgroundSync();
+    return { status: 'queued', reportId: entry.reportId };
+}
+
+/**
+ * Number of reports waiting on this device for the signed-in user.
+ */
+export async function countPending() {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return 0;
+    return withStore('readonly', (store) => store.index('uid').count(uid));
+}
+
+/**
+ * Try every due report once. Concurrent calls share the same run.
+ * @param {{ force?: boolean }} [options] - force: ignore backoff (Background Sync / coming online)
+ * @returns {Promise<number>} reports still pending afterwards
+ */
+export function processQueue({ force = false } = {}) {
+    if (!processing) {
+        processing = runQueue(force).finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+/**
+ * Retry queued reports while the app is open: on an interval, when the
+ * device comes back online, and when the service worker asks (Background Sync).
+ * Everything is tried once on start, whatever its backoff, since a Background
+ * Sync may have fired while no window was open.
+ */
+export function startQueueProcessor() {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(() => processQueue(), POLL_INTERVAL_MS);
+    window.addEventListener('online', () => processQueue({ force: true }));
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type !== 'replay-report-queue') return;
+            processQueue({ force: true })
+                .then((remaining) => e.ports[0]?.postMessage({ remaining }))
+                .catch((err) => e.ports[0]?.postMessage({ error: err.message }));
+        });
+    }
+
+    processQueue({ force: true });
+}
+
+// ---------- Internals ----------
+async function runQueue(force) {
+    const uid = auth.currentUser?.uid;
+    if (!uid || !navigator.onLine) return countPending();
+
+    const entries = await withStore('readonly', (store) => store.index('uid').getAll(uid));
+    const now = Date.now();
+
+    for (const entry of entries) {
+        if (!force && entry.nextAttemptAt > now) continue;
+
+        try {
+            const { status } = await writeReport(entry);
+            await withStore('readwrite', (store) => store.delete(entry.id));
+            console.log(`[Queue] Uploaded queued report ${entry.id} (${status})`);
+        } catch (err) {
+            if (err.name === 'ReportValidationError') {
+                // Retrying can't fix bad data; drop it rather than loop forever
+                await withStore('readwrite', (store) => store.delete(entry.id));
+                console.error(`[Queue] Dropped invalid report ${entry.id}:`, err);
+                continue;
+            }
+            entry.attempts += 1;
+            entry.nextAttemptAt = Date.now() + retryDelay(entry.attempts);
+            entry.lastError = err.message;
+            await withStore('readwrite', (store) => store.put(entry));
+            console.warn(`[Queue] Retry ${entry.attempts} failed for report ${entry.id}:`, err);
+        }
+    }
+
+    notifyChanged();
+    const remaining = await countPending();
+    if (remaining > 0) registerBackgroundSync();
+    return remaining;
+}
+
+// Exponential backoff: 10s, 20s, 40s ... capped at 30 minutes
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Status 'saved' for a new report, 'confirmed' when it was merged into a nearby one
+async function writeReport(entry) {
+    const { filename } = entry;
+
+    if (entry.dedupe) {
+        const existing = await findNearbyReport(entry.report);
+        if (existing) {
+            // A sighting only adds its annotated image, and only while the report has few
+            const imageUrl = existing.images.length < MAX_SIGHTING_IMAGES
+                ? await uploadOnce(entry, 'blob', 'imageUrl', filename)
+                : '';
+            try {
+                await confirmReport(existing.docId, { imageUrl });
+                console.log(`[Queue] Confirmed existing report ${existing.id} instead of creating a duplicate`);
+                return { status: 'confirmed', reportId: existing.id };
+            } catch (err) {
+                // Rules not deployed for sightings (see PROJECT_SPEC): a duplicate beats losing the report
+                if (err.code !== 'permission-denied') throw err;
+                console.warn(`[Queue] Not allowed to confirm report ${existing.id}, creating a new one:`, err);
+            }
+        }
+    }
+
+    const imageUrl = await uploadOnce(entry, 'blob', 'imageUrl', filename);
+    const rawImageUrl = await uploadOnce(entry, 'rawBlob', 'rawImageUrl', `raw_${filename}`);
+
+    // The ID was fixed when the report was first submitted, so a retry after a
+    // partially failed attempt overwrites the same document instead of duplicating it
+    await createReport(entry.reportId, { ...toReportFields(entry), imageUrl, rawImageUrl });
+    return { status: 'saved', reportId: entry.reportId };
+}
+
+// Upload one of the entry's images unless an earlier attempt already did. The
+// URL is kept on the entry (and saved to IndexedDB once it is queued), so a
+// retry after a Firestore failure doesn't upload the same image again.
+async function uploadOnce(entry, blobKey, urlKey, filename) {
+    if (entry[urlKey]) return entry[urlKey];
+    if (!entry[blobKey]) return '';
+
+    entry[urlKey] = await uploadImage(entry[blobKey], filename);
+    if (entry.id !== undefined) await withStore('readwrite', (store) => store.put(entry));
+    return entry[urlKey];
+}
+
+// Queue entry -> createReport() fields
+function toReportFields(entry) {
+    const { report } = entry;
+    return {
+        hazardType: report.hazardType,
+        lat: report.lat,
+        lng: report.lng,
+        address: report.address,
+        // Date shown in the dashboard is when the hazard was captured, not when the upload succeeded
+        capturedAt: report.capturedAt,
+        accuracy: report.accuracy,
+        speed: report.speed,
+        heading: report.heading,
+        locationSource: report.locationSource,
+        detections: report.detections,
+        severity: report.severity,
+        reporterUid: entry.uid,
+        reporterName: entry.reporterName,
+    };
+}
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent(QUEUE_CHANGED_EVENT));
+}
+
+async function registerBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const reg = await navigator.serviceWorker.ready;
+        if (reg.sync) await reg.sync.register(REPORT_SYNC_TAG);
+    } catch (err) {
+        // Background Sync unsupported or denied: the in-page retry loop still runs
+        console.warn('[Queue] Background Sync unavailable:', err);
+    }
+}
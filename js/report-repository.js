@@ -0,0 +1,399 @@
+// ============================================
+// Report Repository (Firestore `reports` collection)
+// ============================================
+// Single place that reads and writes report documents, so every page
+// sees the same shape.
+//
+// Stored schema (current):
+//   id           string   - same as the document ID
+//   hazardType   string
+//   createdAt    Timestamp - server time the document was written
+//   capturedAt   Timestamp - device time the hazard was photographed
+//   coordinate   GeoPoint
+//   accuracy     number|null - GPS accuracy radius in metres
+//   speed        number|null - m/s at capture time (live reports)
+//   heading      number|null - degrees clockwise from north (live reports)
+//   locationSource 'exif' | 'device' | 'manual' | 'track' | null - where coordinate came from:
+//                photo metadata, the phone's GPS, picked on a map / searched, or a
+//                recorded GPS track (video); null on documents written before it was stored
+//   address      string
+//   imageUrl     string   - photo with the detection boxes drawn in
+//   rawImageUrl  string   - the same photo without boxes ('' before it was stored)
+//   detections   { label, score, bbox }[] - every box the model found; bbox is
+//                [x, y, w, h] as fractions (0-1) of the image size. [] on older
+//                reports and captures without a detection
+//   severity     'low' | 'medium' | 'high' | null - estimated from the detections
+//                (severity.js); null without detections or on older reports
+//   reporterUid  string   - Firebase Auth UID
+//   reporterName string   - display name at the time of reporting
+//   status       'new' | 'in-progress' | 'fixed'
+//   geohash      string   - 9-char geohash of coordinate, for nearby lookups
+//   confirmations number  - times the hazard was reported (1 = original)
+//   images       string[] - every image attached, original first
+//
+// Legacy documents carry a `date` string ("dd/mm/yy hh:mm", device local
+// time) and a display name in `reportedBy` instead of createdAt /
+// reporterUid. normalizeReport() maps both layouts to the same object.
+//
+// Report IDs are generated on the device: a fixed-width base36 timestamp
+// followed by random characters. They sort by creation time, need no
+// shared counter document (so no transaction contention and they work
+// offline), and double as the Firestore document ID, which makes retried
+// writes idempotent. Older reports keep their numeric `id` from the
+// retired `metadata/reportCounter` scheme.
+
+import { db } from '../firebase-config.js';
+import {
+    collection,
+    doc,
+    setDoc,
+    updateDoc,
+    getDocs,
+    query,
+    where,
+    onSnapshot,
+    serverTimestamp,
+    increment,
+    arrayUnion,
+    GeoPoint,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
+import { encodeGeohash, geohashNeighborhood, geohashPrecisionForRadius, distanceMeters } from './geo.js';
+import { SEVERITY_LEVELS } from './severity.js';
+
+const REPORTS_COLLECTION = 'reports';
+const TIME_DIGITS = 9; // base36 ms timestamp, fixed width so IDs sort as strings
+const RANDOM_DIGITS = 5;
+
+export const REPORT_STATUSES = ['new', 'in-progress', 'fixed'];
+export const LOCATION_SOURCES = ['exif', 'device', 'manual', 'track'];
+const MAX_TEXT_LENGTH = 500;
+const MAX_DETECTIONS = 100;
+const GEOHASH_PRECISION = 9;
+export const DUPLICATE_RADIUS_M = 20; // GPS error + how far ahead the camera sees
+
+/**
+ * Create a sortable, collision-resistant report ID, e.g. "0m7f3k2ab-x9q2z".
+ * @param {number} [time] - ms since epoch
+ */
+export function generateReportId(time = Date.now()) {
+    const timePart = time.toString(36).padStart(TIME_DIGITS, '0');
+    const random = new Uint8Array(RANDOM_DIGITS);
+    crypto.getRandomValues(random);
+    const randomPart = Array.from(random, (b) => (b % 36).toString(36)).join('');
+    return `${timePart}-${randomPart}`;
+}
+
+/**
+ * Order report IDs newest first. Legacy numeric IDs all predate the
+ * time-based ones, so they sort after them (by number, descending).
+ */
+export function compareReportIds(a, b) {
+    const aLegacy = typeof a !== 'string';
+    const bLegacy = typeof b !== 'string';
+    if (aLegacy && bLegacy) return (b || 0) - (a || 0);
+    if (aLegacy) return 1;
+    if (bLegacy) return -1;
+    return b < a ? -1 : b > a ? 1 : 0;
+}
+
+/**
+ * Display form of a report ID: "#42" for legacy counters, "#0M7F3K2AB-X9Q2Z" otherwise.
+ */
+export function formatReportId(id) {
+    if (id === undefined || id === null || id === '') return '-';
+    return `#${String(id).toUpperCase()}`;
+}
+
+// ---------- Validation ----------
+
+/**
+ * Check a report before it is written.
+ * @returns {string[]} problems found; empty when the report is valid
+ */
+export function validateReport(report) {
+    const errors = [];
+    if (!report || typeof report !== 'object') return ['report is missing'];
+
+    if (typeof report.hazardType !== 'string' || !report.hazardType.trim()) {
+        errors.push('hazardType is required');
+    } else if (report.hazardType.length > MAX_TEXT_LENGTH) {
+        errors.push('hazardType is too long');
+    }
+
+    if (!Number.isFinite(report.lat) || report.lat < -90 || report.lat > 90) {
+        errors.push('lat must be a number between -90 and 90');
+    }
+    if (!Number.isFinite(report.lng) || report.lng < -180 || report.lng > 180) {
+        errors.push('lng must be a number between -180 and 180');
+    }
+
+    if (report.address !== undefined && report.address !== null) {
+        if (typeof report.address !== 'string') errors.push('address must be a string');
+        else if (report.address.length > MAX_TEXT_LENGTH) errors.push('address is too long');
+    }
+    for (const field of ['imageUrl', 'rawImageUrl']) {
+        if (report[field] && !/^https?:\/\//.test(report[field])) {
+            errors.push(`${field} must be an http(s) URL`);
+        }
+    }
+    if (report.detections !== undefined && report.detections !== null) {
+        if (!Array.isArray(report.detections)) {
+            errors.push('detections must be an array');
+        } else if (report.detections.length > MAX_DETECTIONS) {
+            errors.push(`detections may hold at most ${MAX_DETECTIONS} boxes`);
+        } else if (!report.detections.every(isValidDetection)) {
+            errors.push('detections must have a label, a score between 0 and 1 and a normalized [x, y, w, h] bbox');
+        }
+    }
+    for (const field of ['accuracy', 'speed']) {
+        const value = report[field];
+        if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+            errors.push(`${field} must be a non-negative number`);
+        }
+    }
+    if (report.heading !== undefined && report.heading !== null &&
+        !(Number.isFinite(report.heading) && report.heading >= 0 && report.heading <= 360)) {
+        errors.push('heading must be between 0 and 360');
+    }
+    if (report.locationSource !== undefined && report.locationSource !== null &&
+        !LOCATION_SOURCES.includes(report.locationSource)) {
+        errors.push(`locationSource must be one of: ${LOCATION_SOURCES.join(', ')}`);
+    }
+    if (report.severity !== undefined && report.severity !== null && !SEVERITY_LEVELS.includes(report.severity)) {
+        errors.push(`severity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+    }
+    if (report.capturedAt !== undefined && !Number.isFinite(report.capturedAt)) {
+        errors.push('capturedAt must be a timestamp in ms');
+    }
+    if (typeof report.reporterUid !== 'string' || !report.reporterUid) {
+        errors.push('reporterUid is required');
+    }
+
+    return errors;
+}
+
+function isValidDetection(det) {
+    const fraction = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+    return Boolean(det) &&
+        typeof det.label === 'string' && det.label.length > 0 && det.label.length <= MAX_TEXT_LENGTH &&
+        fraction(det.score) &&
+        Array.isArray(det.bbox) && det.bbox.length === 4 && det.bbox.every(fraction);
+}
+
+function assertValidReport(report) {
+    const errors = validateReport(report);
+    if (errors.length > 0) {
+        const err = new Error(`Invalid report: ${errors.join('; ')}`);
+        err.name = 'ReportValidationError';
+        throw err;
+    }
+}
+
+// ---------- Writes ----------
+
+/**
+ * Write a report document. Safe to retry with the same reportId.
+ * Throws a ReportValidationError without writing if a field is invalid.
+ * @param {string} reportId - from generateReportId()
+ * @param {{ hazardType: string, lat: number, lng: number, address?: string, imageUrl?: string,
+ *           rawImageUrl?: string, detections?: object[], severity?: string, capturedAt?: number, accuracy?: number,
+ *           speed?: number, heading?: number, locationSource?: string, reporterUid: string,
+ *           reporterName?: string }} report
+ */
+export async function createReport(reportId, report) {
+    assertValidReport(report);
+
+    await setDoc(doc(db, REPORTS_COLLECTION, reportId), {
+        id: reportId,
+        hazardType: report.hazardType.trim(),
+        createdAt: serverTimestamp(),
+        capturedAt: Timestamp.fromMillis(report.capturedAt ?? Date.now()),
+        coordinate: new GeoPoint(report.lat, report.lng),
+        accuracy: report.accuracy ?? null,
+        speed: report.speed ?? null,
+        heading: report.heading ?? null,
+        locationSource: report.locationSource ?? null,
+        address: report.address || '',
+        imageUrl: report.imageUrl || '',
+        rawImageUrl: report.rawImageUrl || '',
+        detections: (report.detections || []).map(({ label, score, bbox }) => ({ label, score, bbox })),
+        severity: report.severity ?? null,
+        reporterUid: report.reporterUid,
+        reporterName: report.reporterName || '',
+        status: 'new',
+        geohash: encodeGeohash(report.lat, report.lng, GEOHASH_PRECISION),
+        confirmations: 1,
+        images: report.imageUrl ? [report.imageUrl] : [],
+    });
+    return reportId;
+}
+
+/**
+ * Record another sighting of an existing report: bump its confirmation
+ * count and attach the new image.
+ * @param {string} docId
+ * @param {{ imageUrl?: string }} sighting
+ */
+export async function confirmReport(docId, { imageUrl } = {}) {
+    const update = {
+        confirmations: increment(1),
+        lastConfirmedAt: serverTimestamp(),
+    };
+    if (imageUrl) update.images = arrayUnion(imageUrl);
+    await updateDoc(doc(db, REPORTS_COLLECTION, docId), update);
+}
+
+// ---------- Reads ----------
+
+/**
+ * Map a stored document (current or legacy layout) to the shape pages use:
+ * { docId, id, hazardType, createdAt: Date|null, capturedAt: Date|null,
+ *   coordinate: { lat, lng }|null, accuracy, speed, heading, locationSource, address, imageUrl,
+ *   rawImageUrl, detections, severity, reporterUid, reporterName, status, confirmations, images, legacy }
+ */
+export function normalizeReport(docId, data = {}) {
+    const legacy = !data.reporterUid;
+    const createdAt = toDate(data.createdAt) || parseLegacyDate(data.date);
+
+    return {
+        docId,
+        id: data.id ?? docId,
+        hazardType: data.hazardType || 'Unknown',
+        createdAt,
+        capturedAt: toDate(data.capturedAt) || createdAt,
+        coordinate: normalizeCoordinate(data.coordinate),
+        accuracy: data.accuracy ?? null,
+        speed: data.speed ?? null,
+        heading: data.heading ?? null,
+        locationSource: data.locationSource ?? null,
+        address: data.address || '',
+        imageUrl: data.imageUrl || '',
+        rawImageUrl: data.rawImageUrl || '',
+        detections: Array.isArray(data.detections) ? data.detections : [],
+        severity: SEVERITY_LEVELS.includes(data.severity) ? data.severity : null,
+        reporterUid: data.reporterUid || null,
+        reporterName: data.reporterName || data.reportedBy || '',
+        status: normalizeStatus(data.status),
+        confirmations: Number.isFinite(data.confirmations) ? data.confirmations : 1,
+        images: Array.isArray(data.images) ? data.images : (data.imageUrl ? [data.imageUrl] : []),
+        legacy,
+    };
+}
+
+/**
+ * Reports within `radiusM` of a position, from any reporter, nearest first.
+ * Documents written before geohashes were stored are not found.
+ * @param {{ lat: number, lng: number }} position
+ * @param {number} radiusM
+ * @returns {Promise<{ report: object, distance: number }[]>} normalized reports with distance in metres
+ */
+export async function findReportsNear({ lat, lng }, radiusM) {
+    const precision = geohashPrecisionForRadius(radiusM, lat);
+    const reports = collection(db, REPORTS_COLLECTION);
+
+    // One prefix range query per cell; geohash is a single-field index
+    const snapshots = await Promise.all(geohashNeighborhood(lat, lng, precision).map((cell) =>
+        getDocs(query(reports, where('geohash', '>=', cell), where('geohash', '<=', `${cell}~`)))));
+
+    const found = new Map();
+    for (const snapshot of snapshots) {
+        snapshot.forEach((d) => {
+            const report = normalizeReport(d.id, d.data());
+            if (!report.coordinate) return;
+            const distance = distanceMeters({ lat, lng }, report.coordinate);
+            if (distance <= radiusM) found.set(d.id, { report, distance });
+        });
+    }
+    return [...found.values()].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Closest open report of the same hazard type within `radiusM`, from any
+ * reporter, or null. Fixed hazards don't count: a pothole that reappears
+ * after repair is a new report.
+ * @param {{ hazardType: string, lat: number, lng: number }} position
+ * @param {number} [radiusM]
+ */
+export async function findNearbyReport({ hazardType, lat, lng }, radiusM = DUPLICATE_RADIUS_M) {
+    const nearby = await findReportsNear({ lat, lng }, radiusM);
+    const match = nearby.find(({ report }) => report.hazardType === hazardType && report.status !== 'fixed');
+    return match ? match.report : null;
+}
+
+/**
+ * Live list of the user's reports, normalized. Listens to reports keyed by
+ * UID and, for documents written before reporterUid existed, to those keyed
+ * by display name, and merges the two. Emits on every snapshot of either
+ * query, so one failing (missing index, permissions) doesn't hold back the other.
+ * @param {import('https://www.gstatic.com/firebasejs/12.9.0/firebase-auth.js').User} user
+ * @param {(reports: object[]) => void} onChange
+ * @param {(err: Error, source: 'current'|'legacy') => void} [onError] - a listener failed; it
+ *   doesn't recover, the other one keeps emitting
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeToUserReports(user, onChange, onError) {
+    const reports = collection(db, REPORTS_COLLECTION);
+    const legacyName = user.displayName || user.email || 'Unknown User';
+    const sources = {
+        current: new Map(),
+        legacy: new Map(),
+    };
+
+    const emit = () => {
+        const merged = new Map([...sources.legacy, ...sources.current]);
+        onChange([...merged.values()]);
+    };
+
+    const listen = (name, q) => onSnapshot(q, (snapshot) => {
+        const map = new Map();
+        snapshot.forEach((d) => {
+            // Estimate pending server timestamps so fresh reports have a date right away
+            map.set(d.id, normalizeReport(d.id, d.data({ serverTimestamps: 'estimate' })));
+        });
+        sources[name] = map;
+        emit();
+    }, (err) => {
+        if (onError) onError(err, name);
+    });
+
+    const unsubs = [
+        listen('current', query(reports, where('reporterUid', '==', user.uid))),
+        listen('legacy', query(reports, where('reportedBy', '==', legacyName))),
+    ];
+    return () => unsubs.forEach((unsub) => unsub());
+}
+
+// ---------- Helpers ----------
+function toDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value === 'number') return new Date(value);
+    return null;
+}
+
+// "dd/mm/yy hh:mm" in the reporter's local time
+function parseLegacyDate(value) {
+    if (typeof value !== 'string') return toDate(value);
+    const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+    if (!match) return null;
+    const [, dd, mm, yy, hh = '0', min = '0'] = match;
+    const year = yy.length === 2 ? 2000 + Number(yy) : Number(yy);
+    const date = new Date(year, Number(mm) - 1, Number(dd), Number(hh), Number(min));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function normalizeCoordinate(coordinate) {
+    if (!coordinate) return null;
+    const lat = coordinate.latitude ?? coordinate.lat;
+    const lng = coordinate.longitude ?? coordinate.lng;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    return { lat, lng };
+}
+
+function normalizeStatus(status) {
+    if (status === 'open' || !status) return 'new';
+    const value = String(status).toLowerCase().replace(/\s+/g, '-');
+    return REPORT_STATUSES.includes(value) ? value : 'new';
+}
@@ -0,0 +1,166 @@
+// ============================================
+// Review Tray (confirm / relabel / discard before saving)
+// ============================================
+// A horizontal strip of pending live captures. Each card can be confirmed,
+// relabelled or discarded with its buttons, or swiped: right to confirm,
+// left to discard. The tray only manages the UI; saving is up to the page.
+
+const SWIPE_THRESHOLD_PX = 80;
+const THUMB_WIDTH = 240;
+const MAX_ITEMS = 30;
+
+export class ReviewTray {
+    /**
+     * @param {HTMLElement} container - element the cards are rendered into
+     * @param {object} handlers
+     * @param {(item: object) => void} handlers.onConfirm - item with its (possibly relabelled) `label`
+     * @param {(item: object) => void} [handlers.onDiscard]
+     * @param {(item: object) => void} [handlers.onOverflow] - oldest item dropped because the tray was full
+     */
+    constructor(container, { onConfirm, onDiscard = null, onOverflow = null }) {
+        this.container = container;
+        this.onConfirm = onConfirm;
+        this.onDiscard = onDiscard;
+        this.onOverflow = onOverflow;
+        this.items = [];
+        this.labels = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Class names offered in the relabel dropdown.
+     */
+    setLabels(labels) {
+        this.labels = [...labels];
+        this.render();
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Queue a capture for review.
+     * @param {{ label: string|null, score?: number, canvas: HTMLCanvasElement }} item - any other
+     *   fields (frame time, GPS, session...) are kept and handed back on confirm / discard
+     */
+    add(item) {
+        const entry = { ...item, reviewId: this.nextId++, thumbUrl: makeThumbnail(item.canvas) };
+        this.items.push(entry);
+        if (this.items.length > MAX_ITEMS) {
+            const dropped = this.items.shift();
+            if (this.onOverflow) this.onOverflow(dropped);
+        }
+        this.render();
+        return entry;
+    }
+
+    clear() {
+        this.items = [];
+        this.render();
+    }
+
+    // ---------- Internals ----------
+    confirm(reviewId) {
+        const pending = this.items.find((i) => i.reviewId === reviewId);
+        if (pending && !pending.label) {
+            // Manual captures start without a class: keep the card until one is picked
+            this.container.querySelector(`[data-review-id="${reviewId}"] select`)?.focus();
+            return;
+        }
+        const item = this.take(reviewId);
+        if (item) this.onConfirm(item);
+    }
+
+    discard(reviewId) {
+        const item = this.take(reviewId);
+        if (item && this.onDiscard) this.onDiscard(item);
+    }
+
+    take(reviewId) {
+        const index = this.items.findIndex((i) => i.reviewId === reviewId);
+        if (index === -1) return null;
+        const [item] = this.items.splice(index, 1);
+        this.render();
+        return item;
+    }
+
+    render() {
+        if (!this.container) return;
+        this.container.classList.toggle('hidden', this.items.length === 0);
+
+        this.container.innerHTML = this.items.map((item) => `
+          <div data-review-id="${item.reviewId}"
+            class="review-card flex-shrink-0 w-44 rounded-xl overflow-hidden bg-black/80 border border-white/10 snap-start touch-pan-y">
+            <img src="${item.thumbUrl}" alt="Capture" class="w-full h-24 object-cover pointer-events-none" />
+            <div class="p-2 space-y-2">
+              <select data-action="relabel" class="w-full bg-dark-800 text-white text-xs rounded-md px-2 py-1">
+                ${item.label ? '' : '<option value="" selected disabled>Choose type…</option>'}
+                ${this.labelOptions(item.label).map((l) => `<option value="${l}" ${l === item.label ? 'selected' : ''}>${l}</option>`).join('')}
+              </select>
+              <p class="text-[11px] text-white/60">${item.score ? `${Math.round(item.score * 100)}% · ` : ''}${item.manual ? 'Manual' : 'Auto'}</p>
+              <div class="flex gap-2">
+                <button data-action="discard" class="flex-1 btn btn-danger text-xs py-1">✕</button>
+                <button data-action="confirm" class="flex-1 btn btn-primary text-xs py-1">✓</button>
+              </div>
+            </div>
+          </div>`).join('');
+
+        this.container.querySelectorAll('[data-review-id]').forEach((card) => {
+            const reviewId = Number(card.dataset.reviewId);
+            card.querySelector('[data-action="confirm"]').addEventListener('click', () => this.confirm(reviewId));
+            card.querySelector('[data-action="discard"]').addEventListener('click', () => this.discard(reviewId));
+            card.querySelector('[data-action="relabel"]').addEventListener('change', (e) => {
+                const item = this.items.find((i) => i.reviewId === reviewId);
+                if (item) item.label = e.target.value;
+            });
+            this.attachSwipe(card, reviewId);
+        });
+    }
+
+    labelOptions(current) {
+        const labels = this.labels.length ? this.labels : [];
+        return current && !labels.includes(current) ? [current, ...labels] : labels;
+    }
+
+    // Horizontal swipe on a card: right confirms, left discards
+    attachSwipe(card, reviewId) {
+        let startX = null;
+        let pointerId = null;
+
+        card.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('select, button')) return;
+            startX = e.clientX;
+            pointerId = e.pointerId;
+            card.setPointerCapture(pointerId);
+        });
+        card.addEventListener('pointermove', (e) => {
+            if (startX === null || e.pointerId !== pointerId) return;
+            const dx = e.clientX - startX;
+            card.style.transform = `translateX(${dx}px)`;
+            card.style.opacity = String(Math.max(0.3, 1 - Math.abs(dx) / 200));
+        });
+        const end = (e) => {
+            if (startX === null || e.pointerId !== pointerId) return;
+            const dx = e.clientX - startX;
+            startX = null;
+            card.style.transform = '';
+            card.style.opacity = '';
+            if (dx > SWIPE_THRESHOLD_PX) this.confirm(reviewId);
+            else if (dx < -SWIPE_THRESHOLD_PX) this.discard(reviewId);
+        };
+        card.addEventListener('pointerup', end);
+        card.addEventListener('pointercancel', end);
+    }
+}
+
+// Small JPEG data URL so a full tray doesn't hold dozens of full-size frames on screen
+function makeThumbnail(canvas) {
+    if (!canvas) return 'assets/icons/icon-192.png';
+    const scale = Math.min(1, THUMB_WIDTH / canvas.width);
+    const thumb = document.createElement('canvas');
+    thumb.width = Math.round(canvas.width * scale);
+    thumb.height = Math.round(canvas.height * scale);
+    thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+    return thumb.toDataURL('image/jpeg', 0.7);
+}
@@ -0,0 +1,31 @@
+// ============================================
+// Self-hosted Image Upload (server.js)
+// ============================================
+// Image storage adapter (see image-storage.js) for IMAGE_STORAGE=local:
+// the image is POSTed to this app's server, which keeps it in its upload
+// directory. Needs no account, for local development and testing.
+
+const UPLOAD_ENDPOINT = '/api/images';
+
+export const serverStorage = {
+    name: 'local',
+    upload: uploadToServer,
+};
+
+export async function uploadToServer(blob, filename = 'hazard.jpg') {
+    const url = `${UPLOAD_ENDPOINT}?filename=${encodeURIComponent(filename)}`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': blob.type || 'image/jpeg' },
+        body: blob
+    });
+
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new Error(`Failed to upload image to server: ${error || response.status}`);
+    }
+
+    // Reports store absolute URLs
+    const data = await response.json();
+    return new URL(data.url, window.location.origin).href;
+}
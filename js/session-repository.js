@@ -0,0 +1,106 @@
+// ============================================
+// Session Repository (Firestore `sessions` collection)
+// ============================================
+// Drive sessions recorded by live detection. One document per Start/Stop:
+//
+//   id              string   - same as the document ID (time-based, see generateReportId)
+//   reporterUid     string
+//   reporterName    string
+//   startedAt       Timestamp
+//   endedAt         Timestamp
+//   createdAt       Timestamp - server time the document was written
+//   durationMs      number
+//   distanceM       number
+//   framesProcessed number
+//   detectedByClass { [hazardType]: number } - confirmed hazard tracks
+//   savedByClass    { [hazardType]: number } - reports saved / queued / confirmed
+//   reportIds       string[] - reports saved or confirmed during the drive
+//   hazards         { reportId, hazardType, lat, lng, time, status }[] - reportId null when queued
+//   route           string   - encoded polyline (see geo.js encodePolyline)
+//   pointCount      number
+
+import { db } from '../firebase-config.js';
+import {
+    collection,
+    doc,
+    setDoc,
+    query,
+    where,
+    onSnapshot,
+    serverTimestamp,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
+import { generateReportId } from './report-repository.js';
+import { decodePolyline } from './geo.js';
+
+const SESSIONS_COLLECTION = 'sessions';
+
+/**
+ * Store a finished drive for the user.
+ * @param {import('https://www.gstatic.com/firebasejs/12.9.0/firebase-auth.js').User} user
+ * @param {ReturnType<import('./drive-session.js').DriveSession['summary']>} summary
+ * @returns {Promise<string>} session ID
+ */
+export async function saveSession(user, summary) {
+    if (!user) throw new Error('Not signed in');
+    if (!Number.isFinite(summary.startedAt) || !Number.isFinite(summary.endedAt)) {
+        throw new Error('Invalid session: start and end times are required');
+    }
+
+    const sessionId = generateReportId(summary.startedAt);
+    await setDoc(doc(db, SESSIONS_COLLECTION, sessionId), {
+        ...summary,
+        id: sessionId,
+        reporterUid: user.uid,
+        reporterName: user.displayName || user.email || 'Unknown User',
+        startedAt: Timestamp.fromMillis(summary.startedAt),
+        endedAt: Timestamp.fromMillis(summary.endedAt),
+        createdAt: serverTimestamp(),
+    });
+    return sessionId;
+}
+
+/**
+ * Map a stored document to the shape pages use, with the route decoded.
+ */
+export function normalizeSession(docId, data = {}) {
+    const startedAt = data.startedAt?.toDate?.() || null;
+    const endedAt = data.endedAt?.toDate?.() || null;
+    let route = [];
+    try {
+        route = typeof data.route === 'string' ? decodePolyline(data.route) : [];
+    } catch (err) {
+        console.warn(`[Sessions] Unreadable route in session ${docId}:`, err);
+    }
+
+    return {
+        docId,
+        id: data.id || docId,
+        startedAt,
+        endedAt,
+        durationMs: data.durationMs ?? (startedAt && endedAt ? endedAt - startedAt : 0),
+        distanceM: data.distanceM || 0,
+        framesProcessed: data.framesProcessed || 0,
+        detectedByClass: data.detectedByClass || {},
+        savedByClass: data.savedByClass || {},
+        reportIds: Array.isArray(data.reportIds) ? data.reportIds : [],
+        hazards: Array.isArray(data.hazards) ? data.hazards : [],
+        route,
+    };
+}
+
+/**
+ * Live list of the user's drives, newest first.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeToUserSessions(user, onChange, onError) {
+    const q = query(collection(db, SESSIONS_COLLECTION), where('reporterUid', '==', user.uid));
+    return onSnapshot(q, (snapshot) => {
+        const sessions = [];
+        snapshot.forEach((d) => sessions.push(normalizeSession(d.id, d.data())));
+        sessions.sort((a, b) => (b.startedAt?.getTime() || 0) - (a.startedAt?.getTime() || 0));
+        onChange(sessions);
+    }, (err) => {
+        if (onError) onError(err);
+    });
+}
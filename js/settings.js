@@ -4,6 +4,9 @@
 
 import { auth } from '../firebase-config.js';
 import { showToast } from './app.js';
+import { getPreferences, savePreferences } from './preferences.js';
+import { DetectorClient, formatModelVersion, getLastModelInfo } from './detector-client.js';
+import { getBlurMode, getPrivacyModelStatus, privacyUploadBlocker } from './privacy-filter.js';
 import {
     updatePassword,
     reauthenticateWithCredential,
@@ -12,6 +15,11 @@ import {
 
 export function init() {
     checkPermissions();
+    showEngineInfo();
+    setupDetectionSettings();
+    setupLiveSettings();
+    setupAlertSettings();
+    setupPrivacySettings();
     setupChangePassword();
 }
 
@@ -52,6 +60,272 @@ function updatePermissionUI(el, state) {
         }`;
 }
 
+// ---------- Detection Engine ----------
+// Reported by the worker the last time Upload / Live loaded the model on this device
+function showEngineInfo() {
+    const info = getLastModelInfo();
+    if (!info) return;
+
+    const versionEl = document.getElementById('engine-model-version');
+    const backendEl = document.getElementById('engine-backend');
+    const warmupEl = document.getElementById('engine-warmup');
+    const noteEl = document.getElementById('engine-note');
+
+    if (versionEl && info.modelVersion) versionEl.textContent = formatModelVersion(info.modelVersion);
+    if (backendEl) backendEl.textContent = info.backend.toUpperCase();
+    if (warmupEl) warmupEl.textContent = `${Math.round(info.warmupMs)} ms`;
+
+    if (noteEl && info.skippedBackends?.length) {
+        noteEl.textContent = info.skippedBackends
+            .map((s) => `${s.backend.toUpperCase()} unavailable: ${s.reason}`)
+            .join(' · ');
+        noteEl.classList.remove('hidden');
+    }
+}
+
+// ---------- Detection Settings ----------
+async function setupDetectionSettings() {
+    const form = document.getElementById('detection-settings-form');
+    if (!form) return;
+
+    const { detection } = getPreferences();
+    const iouInput = form.querySelector('#iou-threshold');
+    const iouValue = form.querySelector('#iou-threshold-value');
+    const maxInput = form.querySelector('#max-detections');
+
+    iouInput.value = detection.iouThreshold;
+    iouValue.textContent = Number(detection.iouThreshold).toFixed(2);
+    iouInput.addEventListener('input', () => {
+        iouValue.textContent = Number(iouInput.value).toFixed(2);
+    });
+    maxInput.value = detection.maxDetections;
+
+    const container = document.getElementById('class-thresholds');
+    const labels = await loadModelLabels();
+    if (container) {
+        if (labels.length === 0) {
+            container.innerHTML = '<p class="text-sm text-dark-400">Could not read model classes.</p>';
+        } else {
+            container.innerHTML = labels.map((label) => {
+                const value = detection.scoreThresholds[label] ?? detection.defaultScoreThreshold;
+                return `
+            <div>
+              <label for="threshold-${label}" class="flex justify-between text-sm text-dark-300 mb-1.5">
+                <span>${label}</span>
+                <span class="text-dark-400" data-threshold-value="${label}">${Number(value).toFixed(2)}</span>
+              </label>
+              <input id="threshold-${label}" data-class-threshold="${label}" type="range"
+                min="0.05" max="0.95" step="0.05" value="${value}" class="w-full accent-primary-500" />
+            </div>`;
+            }).join('');
+
+            container.querySelectorAll('[data-class-threshold]').forEach((input) => {
+                input.addEventListener('input', () => {
+                    const valueEl = container.querySelector(`[data-threshold-value="${input.dataset.classThreshold}"]`);
+                    if (valueEl) valueEl.textContent = Number(input.value).toFixed(2);
+                });
+            });
+        }
+    }
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const maxDetections = parseInt(maxInput.value, 10);
+        if (!Number.isInteger(maxDetections) || maxDetections < 1 || maxDetections > 100) {
+            showToast('Max detections must be between 1 and 100', 'error');
+            return;
+        }
+
+        const scoreThresholds = {};
+        form.querySelectorAll('[data-class-threshold]').forEach((input) => {
+            scoreThresholds[input.dataset.classThreshold] = Number(input.value);
+        });
+
+        // Picked up by the detection workers the next time Upload / Live is opened
+        savePreferences('detection', {
+            scoreThresholds,
+            iouThreshold: Number(iouInput.value),
+            maxDetections,
+        });
+        showToast('Detection settings saved', 'success');
+    });
+}
+
+// Class names as the worker reports them in `model-loaded`, so thresholds and
+// muted classes are keyed exactly like the labels on its detections. Taken from
+// the last load on this device; otherwise the model is loaded here once.
+let modelLabelsPromise = null;
+
+function loadModelLabels() {
+    const cached = getLastModelInfo()?.labels;
+    if (cached?.length) return Promise.resolve(cached);
+
+    if (!modelLabelsPromise) {
+        modelLabelsPromise = withDetector((detector) => detector.ready())
+            .then((info) => info.labels || [])
+            .catch((err) => {
+                console.error('[Settings] Failed to read model classes:', err);
+                modelLabelsPromise = null;
+                return [];
+            });
+    }
+    return modelLabelsPromise;
+}
+
+// Settings has no worker of its own: one is started for what only the worker
+// can tell (model classes) and ended once nothing needs it
+let settingsDetector = null;
+let detectorUsers = 0;
+
+async function withDetector(task) {
+    if (!settingsDetector) settingsDetector = new DetectorClient();
+    const detector = settingsDetector;
+    detectorUsers++;
+    try {
+        return await task(detector);
+    } finally {
+        if (--detectorUsers === 0) {
+            detector.terminate();
+            settingsDetector = null;
+        }
+    }
+}
+
+// ---------- Live Detection ----------
+function setupLiveSettings() {
+    const { live } = getPreferences();
+
+    const hudToggle = document.getElementById('show-hud');
+    if (hudToggle) {
+        hudToggle.checked = live.showHud;
+        hudToggle.addEventListener('change', () => {
+            savePreferences('live', { showHud: hudToggle.checked });
+            showToast(hudToggle.checked ? 'Performance overlay on' : 'Performance overlay off', 'info');
+        });
+    }
+
+    const pauseToggle = document.getElementById('pause-when-stationary');
+    if (pauseToggle) {
+        pauseToggle.checked = live.pauseWhenStationary;
+        pauseToggle.addEventListener('change', () => {
+            savePreferences('live', { pauseWhenStationary: pauseToggle.checked });
+            showToast(pauseToggle.checked ? 'Detection pauses when stationary' : 'Detection runs while stationary', 'info');
+        });
+    }
+
+    const reviewToggle = document.getElementById('review-before-save');
+    if (reviewToggle) {
+        reviewToggle.checked = live.reviewBeforeSave;
+        reviewToggle.addEventListener('change', () => {
+            savePreferences('live', { reviewBeforeSave: reviewToggle.checked });
+            showToast(reviewToggle.checked ? 'Hazards will wait for review' : 'Hazards are saved automatically', 'info');
+        });
+    }
+}
+
+// ---------- Hazard Alerts ----------
+async function setupAlertSettings() {
+    const { alerts } = getPreferences();
+
+    const modeSelect = document.getElementById('alert-mode');
+    if (modeSelect) {
+        modeSelect.value = alerts.mode;
+        modeSelect.addEventListener('change', () => {
+            savePreferences('alerts', { mode: modeSelect.value });
+            const names = { off: 'Alerts off', tone: 'Tone alerts on', voice: 'Voice alerts on' };
+            showToast(names[modeSelect.value], 'info');
+        });
+    }
+
+    const nearbyToggle = document.getElementById('alert-nearby');
+    if (nearbyToggle) {
+        nearbyToggle.checked = alerts.nearbyReports;
+        nearbyToggle.addEventListener('change', () => {
+            savePreferences('alerts', { nearbyReports: nearbyToggle.checked });
+            showToast(nearbyToggle.checked ? 'Warning about reported hazards ahead' : 'Only new detections alert', 'info');
+        });
+    }
+
+    const distanceSelect = document.getElementById('alert-distance');
+    if (distanceSelect) {
+        distanceSelect.value = String(alerts.aheadDistanceM);
+        distanceSelect.addEventListener('change', () => {
+            savePreferences('alerts', { aheadDistanceM: Number(distanceSelect.value) });
+            showToast(`Warning within ${distanceSelect.value} m`, 'info');
+        });
+    }
+
+    // One checkbox per model class; unticked classes are muted
+    const container = document.getElementById('alert-classes');
+    if (!container) return;
+    const labels = await loadModelLabels();
+    if (labels.length === 0) {
+        container.innerHTML = '<p class="text-sm text-dark-400">Could not read model classes.</p>';
+        return;
+    }
+    container.innerHTML = labels.map((label) => `
+        <label class="flex items-center gap-2 text-sm text-dark-300 cursor-pointer">
+          <input type="checkbox" data-alert-class="${label}" class="w-4 h-4 accent-primary-500"
+            ${alerts.mutedClasses.includes(label) ? '' : 'checked'} />
+          <span>${label}</span>
+        </label>`).join('');
+
+    container.querySelectorAll('[data-alert-class]').forEach((input) => {
+        input.addEventListener('change', () => {
+            const mutedClasses = [...container.querySelectorAll('[data-alert-class]')]
+                .filter((box) => !box.checked)
+                .map((box) => box.dataset.alertClass);
+            savePreferences('alerts', { mutedClasses });
+            showToast(input.checked ? `${input.dataset.alertClass} alerts on` : `${input.dataset.alertClass} muted`, 'info');
+        });
+    });
+}
+
+// ---------- Privacy ----------
+function setupPrivacySettings() {
+    const modeSelect = document.getElementById('blur-mode');
+    if (!modeSelect) return;
+
+    modeSelect.value = getBlurMode();
+    modeSelect.addEventListener('change', () => {
+        savePreferences('privacy', { blurMode: modeSelect.value });
+        showToast(modeSelect.value === 'on'
+            ? 'Photos are only uploaded once faces and plates are blurred'
+            : 'Photos are uploaded without blurring', 'info');
+        showPrivacyModelStatus();
+    });
+
+    showPrivacyModelStatus();
+}
+
+// Read from the privacy model's metadata.yaml; no worker or model is loaded for it
+let privacyStatusPromise = null;
+
+async function showPrivacyModelStatus() {
+    const statusEl = document.getElementById('privacy-model-status');
+    const noteEl = document.getElementById('privacy-model-note');
+    if (!statusEl) return;
+
+    if (!privacyStatusPromise) privacyStatusPromise = getPrivacyModelStatus();
+    const modelStatus = await privacyStatusPromise;
+    const { status, error } = modelStatus;
+
+    statusEl.textContent = {
+        installed: '✅ Installed',
+        missing: '⚠️ Not installed',
+        unreachable: '❌ Unreachable',
+    }[status];
+    statusEl.className = `text-sm font-medium text-right ${status === 'installed' ? 'text-success' : status === 'missing' ? 'text-warning' : 'text-danger'}`;
+    statusEl.title = error || '';
+
+    if (noteEl) {
+        const note = privacyUploadBlocker(modelStatus);
+        noteEl.textContent = note;
+        noteEl.classList.toggle('hidden', !note);
+    }
+}
+
 // ---------- Change Password ----------
 function setupChangePassword() {
     const form = document.getElementById('change-password-form');
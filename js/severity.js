@@ -0,0 +1,90 @@
+// ============================================
+// Hazard Severity (low / medium / high)
+// ============================================
+// Pure module, no DOM. Rates how urgent a detected hazard is so road crews
+// can work through the worst ones first. Each signal is scaled to 0-1:
+//
+// - area: how much of the frame the largest box covers
+// - confidence: the model's score for that box
+// - cluster: other boxes next to it (a broken-up stretch rather than one crack)
+// - persistence: live frames the hazard was tracked over
+//
+// The weighted mean of the signals that are known (persistence only exists
+// in live mode) is bucketed into a level.
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+const DEFAULTS = {
+    weights: { area: 0.45, confidence: 0.2, cluster: 0.2, persistence: 0.15 },
+    fullArea: 0.12, // Box covering this share of the frame scores 1
+    minConfidence: 0.3, // Scores at or below this count as 0 ...
+    maxConfidence: 0.9, // ... and at or above this as 1
+    clusterRadius: 0.25, // Box centres within this distance (frame fractions) are neighbours
+    fullCluster: 4, // Boxes in a neighbourhood, the main one included, for a cluster score of 1
+    fullPersistence: 10, // Tracked frames for a persistence score of 1
+    thresholds: { medium: 0.35, high: 0.6 },
+};
+
+/**
+ * Rate a hazard from its detections.
+ * @param {object} input
+ * @param {{ label: string, score: number, bbox: number[] }[]} input.detections - normalized
+ *   [x, y, w, h] boxes, as stored on reports (see detection-overlay.js)
+ * @param {number|null} [input.hits] - frames a live track was matched in; null when not tracked
+ * @param {Partial<typeof DEFAULTS>} [options]
+ * @returns {{ level: 'low'|'medium'|'high', score: number,
+ *             factors: { area: number, confidence: number, cluster: number, persistence: number|null } }|null}
+ *   null without detections
+ */
+export function estimateSeverity({ detections, hits = null }, options = {}) {
+    if (!Array.isArray(detections) || detections.length === 0) return null;
+    const opts = { ...DEFAULTS, ...options };
+    const weights = { ...DEFAULTS.weights, ...options.weights };
+    const thresholds = { ...DEFAULTS.thresholds, ...options.thresholds };
+
+    // The largest box is the hazard; the others only count as neighbours
+    const main = detections.reduce((top, det) => (area(det.bbox) > area(top.bbox) ? det : top));
+    const neighbours = detections.filter((det) => centreDistance(det.bbox, main.bbox) <= opts.clusterRadius);
+
+    const factors = {
+        area: clamp01(area(main.bbox) / opts.fullArea),
+        confidence: clamp01((main.score - opts.minConfidence) / (opts.maxConfidence - opts.minConfidence)),
+        cluster: clamp01((neighbours.length - 1) / (opts.fullCluster - 1)),
+        persistence: Number.isFinite(hits) ? clamp01((hits - 1) / (opts.fullPersistence - 1)) : null,
+    };
+
+    let total = 0;
+    let weightSum = 0;
+    Object.entries(factors).forEach(([name, value]) => {
+        if (value === null) return;
+        total += weights[name] * value;
+        weightSum += weights[name];
+    });
+    const score = weightSum > 0 ? total / weightSum : 0;
+
+    let level = 'low';
+    if (score >= thresholds.high) level = 'high';
+    else if (score >= thresholds.medium) level = 'medium';
+
+    return { level, score: Math.round(score * 100) / 100, factors };
+}
+
+/**
+ * Sort order for severity levels: high first, unrated (null / unknown) last.
+ */
+export function compareSeverity(a, b) {
+    return SEVERITY_LEVELS.indexOf(b) - SEVERITY_LEVELS.indexOf(a);
+}
+
+// ---------- Helpers ----------
+function area(bbox) {
+    return Math.max(bbox[2], 0) * Math.max(bbox[3], 0);
+}
+
+function centreDistance(a, b) {
+    return Math.hypot((a[0] + a[2] / 2) - (b[0] + b[2] / 2), (a[1] + a[3] / 2) - (b[1] + b[3] / 2));
+}
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
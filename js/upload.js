@@ -2,53 +2,113 @@
 // Image Upload & Static Detection Module
 // ============================================
 
-import { auth, db, firebaseConfig } from '../firebase-config.js';
+import { auth, firebaseConfig } from '../firebase-config.js';
 import { showToast } from './app.js';
-import {
-    collection,
-    doc,
-    runTransaction,
-    GeoPoint
-} from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
-
-let worker = null;
+import { getDetectionConfig, getPreferences, savePreferences } from './preferences.js';
+import { DetectorClient, formatModelVersion } from './detector-client.js';
+import { submitReport } from './report-queue.js';
+import { VideoAnalyzer, readVideoCreationTime, scanEmbeddedNmea } from './video-analysis.js';
+import { parseGpsTrack, positionTrackFromFixes } from './gps-track.js';
+import { ImageBatch } from './image-batch.js';
+import { drawDetections, toStoredDetections } from './detection-overlay.js';
+import { estimateSeverity } from './severity.js';
+import { anonymizeCanvas, shouldAnonymize, getPrivacyModelStatus, privacyUploadBlocker } from './privacy-filter.js';
+import { LocationPicker } from './location-picker.js';
+
+let detector = null;
 let currentGPS = null;
-let detectionResult = null;
+let detectionResult = null; // { hazardType, detections } of the current image
 let currentFile = null;
-let modelReady = false; // Track if worker model is loaded
+let currentVideo = null; // { file, url, creationTime, track, trackSource, fixes, hazards, abort }
+let batch = null; // Several images at once, see image-batch.js
+let locationPicker = null;
+
+const GPS_TRACK_FILE = /\.(gpx|nmea|nma|log|txt)$/i;
+const CREATION_TIME_SLACK_MS = 5 * 60 * 1000; // How far before the track a video may claim to start
+const TILE_OVERLAP = 0.2; // Fraction of a tile shared with its neighbour in high-resolution mode
 
 export function init() {
     setupWorker();
+    showPrivacyNotice();
     setupUpload();
+    setupTilingControls();
+    setupVideoControls();
+    setupBatchControls();
 }
 
 // ---------- Web Worker ----------
 function setupWorker() {
-    if (worker) worker.terminate();
-    worker = new Worker('js/worker.js');
-
-    worker.onmessage = (e) => {
-        const { type, data } = e.data;
-
-        switch (type) {
-            case 'model-loaded':
-                console.log('[Upload] Model loaded in worker');
-                modelReady = true;
-                break;
-
-            case 'detection-result':
-                handleDetectionResult(data);
-                break;
-
-            case 'error':
-                console.error('[Upload] Worker error:', data);
-                showToast('Detection failed', 'error');
-                hideLoading();
-                break;
-        }
-    };
+    if (detector) detector.terminate();
+    detector = new DetectorClient();
+
+    detector.ready()
+        .then(({ modelVersion }) => {
+            console.log(`[Upload] Model ${modelVersion} loaded in worker`);
+            showModelVersion(modelVersion);
+        })
+        .catch((err) => {
+            console.error('[Upload] Model load error:', err);
+            showToast('Failed to load AI model', 'error');
+            hideLoading();
+        });
+
+    detector.configure(getDetectionConfig())
+        .catch((err) => console.warn('[Upload] Detection settings rejected:', err));
+}
+
+// Which export is running, as reported in the worker's `model-loaded` message
+function showModelVersion(modelVersion) {
+    const el = document.getElementById('model-version');
+    if (!el || !modelVersion) return;
+    el.textContent = `Model ${formatModelVersion(modelVersion)}`;
+    el.title = `Model version ${modelVersion}`;
+    el.classList.remove('hidden');
+}
+
+// Blurring fails closed, so say up front when a missing privacy model will block uploads
+async function showPrivacyNotice() {
+    const el = document.getElementById('privacy-notice');
+    if (!el) return;
+    const notice = privacyUploadBlocker(await getPrivacyModelStatus());
+    el.textContent = notice;
+    el.classList.toggle('hidden', !notice);
+}
+
+// ---------- High-Resolution Mode ----------
+// Sliced inference (see worker.js): photos are scanned in overlapping tiles
+// at native resolution so small cracks aren't shrunk away. Applies to single
+// and batch photos; remembered per user.
+function setupTilingControls() {
+    const toggle = document.getElementById('tiled-inference');
+    const sizeSelect = document.getElementById('tile-size');
+    const sizeRow = document.getElementById('tile-size-row');
+    const prefs = getPreferences().upload;
+
+    if (toggle) toggle.checked = prefs.tiledInference;
+    if (sizeSelect) sizeSelect.value = String(prefs.tileSize);
+    sizeRow?.classList.toggle('hidden', !prefs.tiledInference);
+
+    toggle?.addEventListener('change', () => {
+        savePreferences('upload', { tiledInference: toggle.checked });
+        sizeRow?.classList.toggle('hidden', !toggle.checked);
+    });
+    sizeSelect?.addEventListener('change', () => {
+        savePreferences('upload', { tileSize: Number(sizeSelect.value) });
+    });
+}
 
-    worker.postMessage({ type: 'load-model' });
+// detect() options for a photo under the current mode
+function photoDetectOptions(onProgress = null) {
+    const { tiledInference, tileSize } = getPreferences().upload;
+    if (!tiledInference) return {};
+    return { tiling: { tileSize, overlap: TILE_OVERLAP }, onProgress };
+}
+
+// Pixelate faces and plates on a canvas about to be uploaded, as Settings →
+// Privacy asks (see shouldAnonymize). Throws PrivacyFilterError when the check can't run.
+async function anonymizeForUpload(canvas, alsoApplyTo = []) {
+    if (!shouldAnonymize()) return;
+    await anonymizeCanvas(detector, canvas, alsoApplyTo);
 }
 
 // ---------- File Upload ----------
@@ -72,7 +132,7 @@ function setupUpload() {
             e.preventDefault();
             uploadArea.classList.remove('border-primary-500');
             if (e.dataTransfer.files.length > 0) {
-                handleFile(e.dataTransfer.files[0]);
+                handleFiles(e.dataTransfer.files);
             }
         });
     }
@@ -80,7 +140,7 @@ function setupUpload() {
     if (fileInput) {
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                handleFile(e.target.files[0]);
+                handleFiles(e.target.files);
             }
         });
     }
@@ -88,16 +148,40 @@ function setupUpload() {
     if (saveBtn) {
         saveBtn.addEventListener('click', saveReport);
     }
+
+    const pickerEl = document.getElementById('location-picker');
+    if (pickerEl) locationPicker = new LocationPicker(pickerEl);
+    document.getElementById('pick-location-btn')?.addEventListener('click', pickLocation);
 }
 
 // ---------- Process File ----------
+// A video (optionally with its GPX / NMEA track), a batch of images, or a single image
+function handleFiles(files) {
+    const list = [...files];
+    const video = list.find((f) => f.type.startsWith('video/'));
+    const track = list.find((f) => !f.type.startsWith('video/') && !f.type.startsWith('image/') && GPS_TRACK_FILE.test(f.name));
+    const images = list.filter((f) => f.type.startsWith('image/'));
+
+    if (video) {
+        handleVideoFile(video, track);
+    } else if (track && currentVideo) {
+        loadGpsTrackFile(track);
+    } else if (images.length > 1 || (images.length === 1 && batch?.progress().total > 0)) {
+        handleImageBatch(images);
+    } else {
+        handleFile(list[0]);
+    }
+}
+
 async function handleFile(file) {
     if (!file.type.startsWith('image/')) {
-        showToast('Please upload an image file', 'error');
+        showToast('Please upload an image or video file', 'error');
         return;
     }
 
     // Reset state
+    resetVideo();
+    resetBatch();
     detectionResult = null;
     currentGPS = null;
     currentFile = file;
@@ -131,15 +215,29 @@ async function handleFile(file) {
         await extractGPS(file);
 
         // Wait for model if not ready
-        if (!modelReady) {
+        if (!detector.modelInfo) {
             console.log('[Upload] Model not ready, waiting...');
             showToast('Loading AI model...', 'info');
-            // We could naturally wait for the model-loaded event, but for now simple check
         }
 
-        // Send to worker for detection
-        const bitmap = await createImageBitmap(img);
-        worker.postMessage({ type: 'detect', image: bitmap }, [bitmap]);
+        try {
+            await detector.ready();
+
+            // Send to worker for detection
+            const bitmap = await createImageBitmap(img);
+            const result = await detector.detect(bitmap, photoDetectOptions(({ done, total }) => {
+                if (currentFile === file) setLoadingText(`Scanning tile ${done} of ${total}...`);
+            }));
+
+            // A newer file was picked while this one was processing
+            if (currentFile !== file) return;
+            handleDetectionResult(result);
+        } catch (err) {
+            console.error(`[Upload] Detection error for ${file.name}:`, err);
+            if (currentFile !== file) return;
+            showToast('Detection failed', 'error');
+            hideLoading();
+        }
     };
 
     img.src = URL.createObjectURL(file);
@@ -147,42 +245,89 @@ async function handleFile(file) {
 
 // ---------- GPS Extraction (exif-js) ----------
 async function extractGPS(file) {
+    console.log('[Upload] Starting GPS extraction for:', file.name);
+    if (typeof EXIF === 'undefined') {
+        console.warn('[Upload] EXIF library not loaded, cannot extract GPS');
+        showToast('EXIF library missing. Cannot read location.', 'error');
+        return;
+    }
+
+    const { location, error } = await readExifLocation(file);
+    if (location) {
+        currentGPS = { ...location, source: 'exif' };
+        console.log('[Upload] Successfully extracted GPS:', currentGPS);
+        reverseGeocode(location.lat, location.lng);
+    } else if (error) {
+        showToast('Failed to parse GPS data from image. Set the location on the map.', 'error');
+    } else {
+        showToast('No GPS data found in image. Set the location on the map.', 'info');
+    }
+    updateLocationUI();
+}
+
+// ---------- Manual Location ----------
+// Photos shared through messaging apps lose their EXIF GPS: let the user
+// drop a pin, search an address or use the phone's current location.
+async function pickLocation() {
+    if (!locationPicker) return;
+    const file = currentFile;
+    const picked = await locationPicker.open({ initial: currentGPS });
+    if (!picked || currentFile !== file) return;
+
+    currentGPS = picked;
+    const addressEl = document.getElementById('detected-address');
+    if (addressEl) addressEl.textContent = picked.address || `${picked.lat.toFixed(5)}, ${picked.lng.toFixed(5)}`;
+    if (!picked.address) reverseGeocode(picked.lat, picked.lng);
+    updateLocationUI();
+}
+
+const LOCATION_SOURCE_NAMES = { exif: 'from photo', device: 'current location', manual: 'set manually' };
+
+function updateLocationUI() {
+    const sourceEl = document.getElementById('location-source');
+    if (sourceEl) sourceEl.textContent = currentGPS ? `(${LOCATION_SOURCE_NAMES[currentGPS.source] || currentGPS.source})` : '';
+    const pickBtn = document.getElementById('pick-location-btn');
+    if (pickBtn) pickBtn.textContent = currentGPS ? 'Change' : 'Set on Map';
+    if (!currentGPS) {
+        const addressEl = document.getElementById('detected-address');
+        if (addressEl) addressEl.textContent = 'No location in photo';
+    }
+
+    const btn = document.getElementById('save-report-btn');
+    if (btn) {
+        btn.classList.toggle('opacity-50', !currentGPS);
+        btn.title = currentGPS ? '' : 'Set the location to save this report';
+    }
+}
+
+// EXIF GPS position of an image: { location } when found, { error } when unreadable, {} when absent
+function readExifLocation(file) {
     return new Promise((resolve) => {
-        console.log('[Upload] Starting GPS extraction for:', file.name);
         if (typeof EXIF === 'undefined') {
-            console.warn('[Upload] EXIF library not loaded, cannot extract GPS');
-            showToast('EXIF library missing. Cannot read location.', 'error');
-            resolve();
+            resolve({});
             return;
         }
 
         EXIF.getData(file, function () {
             const allTags = EXIF.getAllTags(this);
-            console.log('[Upload] All EXIF tags found:', Object.keys(allTags));
+            console.log(`[Upload] EXIF tags in ${file.name}:`, Object.keys(allTags));
 
             const lat = EXIF.getTag(this, 'GPSLatitude');
             const lng = EXIF.getTag(this, 'GPSLongitude');
             const latRef = EXIF.getTag(this, 'GPSLatitudeRef');
             const lngRef = EXIF.getTag(this, 'GPSLongitudeRef');
 
-            if (lat && lng) {
-                console.log('[Upload] Raw GPS data found:', { lat, lng, latRef, lngRef });
-                try {
-                    const latitude = convertDMSToDD(lat, latRef);
-                    const longitude = convertDMSToDD(lng, lngRef);
-                    currentGPS = { lat: latitude, lng: longitude };
-                    console.log('[Upload] Successfully extracted GPS:', currentGPS);
-                    reverseGeocode(latitude, longitude);
-                    resolve();
-                } catch (err) {
-                    console.error('[Upload] Error converting DMS to DD:', err);
-                    showToast('Failed to parse GPS data from image.', 'error');
-                    resolve();
-                }
-            } else {
-                console.warn('[Upload] No GPS tags found in EXIF');
-                showToast('No GPS data found in image. Location required.', 'error');
-                resolve();
+            if (!lat || !lng) {
+                console.warn(`[Upload] No GPS tags found in EXIF of ${file.name}`);
+                resolve({});
+                return;
+            }
+            console.log('[Upload] Raw GPS data found:', { lat, lng, latRef, lngRef });
+            try {
+                resolve({ location: { lat: convertDMSToDD(lat, latRef), lng: convertDMSToDD(lng, lngRef) } });
+            } catch (err) {
+                console.error('[Upload] Error converting DMS to DD:', err);
+                resolve({ error: err });
             }
         });
     });
@@ -210,6 +355,22 @@ function convertDMSToDD(dms, ref) {
 
 // ---------- Reverse Geocoding ----------
 async function reverseGeocode(lat, lng) {
+    const addressEl = document.getElementById('detected-address');
+    const { status, address } = await geocodeAddress(lat, lng);
+
+    if (address) {
+        if (addressEl) addressEl.textContent = address;
+        if (currentGPS) currentGPS.address = address;
+    } else if (status === 'REQUEST_DENIED') {
+        if (addressEl) addressEl.textContent = 'Location address unavailable (API Key Issue)';
+        if (currentGPS) currentGPS.address = 'Location address unavailable';
+    } else if (status) {
+        if (addressEl) addressEl.textContent = 'Location address unavailable';
+    }
+}
+
+// Address for a coordinate, or null; status is the Geocoding API status (null on network error)
+async function geocodeAddress(lat, lng) {
     try {
         const apiKey = firebaseConfig.apiKey; // Using Firebase config's Google API key, or ENV if available
         const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${apiKey}`;
@@ -220,23 +381,17 @@ async function reverseGeocode(lat, lng) {
         if (data.status === 'OK' && data.results && data.results.length > 0) {
             const formattedAddress = data.results[0].formatted_address;
             console.log('[Upload] Reverse geocode result:', formattedAddress);
-
-            const addressEl = document.getElementById('detected-address');
-            if (addressEl) addressEl.textContent = formattedAddress;
-
-            if (currentGPS) currentGPS.address = formattedAddress;
-        } else if (data.status === 'REQUEST_DENIED') {
+            return { status: data.status, address: formattedAddress };
+        }
+        if (data.status === 'REQUEST_DENIED') {
             console.warn('[Upload] Geocoder failed due to: REQUEST_DENIED. Check API Key restrictions or billing.');
-            const addressEl = document.getElementById('detected-address');
-            if (addressEl) addressEl.textContent = 'Location address unavailable (API Key Issue)';
-            if (currentGPS) currentGPS.address = 'Location address unavailable';
         } else {
             console.warn('[Upload] Geocoder failed due to:', data.status);
-            const addressEl = document.getElementById('detected-address');
-            if (addressEl) addressEl.textContent = 'Location address unavailable';
         }
+        return { status: data.status, address: null };
     } catch (err) {
         console.error('[Upload] Geocoding fetch error:', err);
+        return { status: null, address: null };
     }
 }
 
@@ -248,9 +403,9 @@ function handleDetectionResult(data) {
 
     if (detections && detections.length > 0) {
         const uniqueLabels = [...new Set(detections.map(d => d.label))].join(', ');
-        detectionResult = { ...detections[0], label: uniqueLabels }; // Store combined labels for saving
+        detectionResult = { hazardType: uniqueLabels, detections };
 
-        drawBoundingBoxes(detections); // Uses original detections array for boxes
+        drawBoundingBoxes(detections);
 
         if (resultEl) {
             resultEl.innerHTML = `
@@ -258,21 +413,12 @@ function handleDetectionResult(data) {
           <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>
           </svg>
-          <span class="font-semibold">${uniqueLabels}</span>
+          <span class="font-semibold">${escapeHtml(uniqueLabels)}</span>
         </div>`;
         }
 
         showSaveButton();
-        const btn = document.getElementById('save-report-btn');
-        if (btn) {
-            if (!currentGPS) {
-                btn.classList.add('opacity-50', 'cursor-not-allowed');
-                btn.title = "Cannot save image without location data. Please enable location permissions in your camera next time.";
-            } else {
-                btn.classList.remove('opacity-50', 'cursor-not-allowed');
-                btn.title = "";
-            }
-        }
+        updateLocationUI();
     } else {
         if (resultEl) {
             resultEl.innerHTML = `
@@ -291,84 +437,35 @@ function drawBoundingBoxes(detections) {
     canvas.height = preview.naturalHeight;
     const ctx = canvas.getContext('2d');
 
-    // Dynamically scale line width and font size for large images
-    const scaleFactor = Math.max(preview.naturalWidth / 600, 1);
-
-    detections.forEach((det) => {
-        const [x, y, w, h] = det.bbox;
-        ctx.strokeStyle = '#22c55e';
-        ctx.lineWidth = 4 * scaleFactor;
-        ctx.strokeRect(x, y, w, h);
-
-        // Label
-        ctx.fillStyle = '#22c55e';
-        const fontSize = Math.floor(16 * scaleFactor);
-        ctx.font = `bold ${fontSize}px Inter`;
-        const label = `${det.label} ${(det.score * 100).toFixed(0)}%`;
-        const textWidth = ctx.measureText(label).width;
-
-        const padX = 8 * scaleFactor;
-        const padY = 6 * scaleFactor;
-        const boxHeight = fontSize + padY * 2;
-
-        ctx.fillRect(x, y - boxHeight, textWidth + padX * 2, boxHeight);
-        ctx.fillStyle = '#fff';
-        ctx.fillText(label, x + padX, y - padY);
-    });
+    drawDetections(ctx, detections, preview.naturalWidth);
 }
 
-export async function uploadToCloudinary(blob, filename = 'hazard.jpg') {
-    const cloudName = window.ENV?.CLOUDINARY_CLOUD_NAME;
-    const uploadPreset = window.ENV?.CLOUDINARY_UPLOAD_PRESET;
-
-    if (!cloudName || !uploadPreset) {
-        throw new Error('Cloudinary config missing in .env file');
-    }
-
-    const url = `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`;
-    const formData = new FormData();
-    formData.append('file', blob, filename);
-    formData.append('upload_preset', uploadPreset);
-
-    const response = await fetch(url, {
-        method: 'POST',
-        body: formData
-    });
-
-    if (!response.ok) {
-        throw new Error('Failed to upload image to Cloudinary');
-    }
-
-    const data = await response.json();
-    return data.secure_url;
+// The photo as a JPEG twice: with the bounding boxes burned in, and raw
+async function getReportImageBlobs() {
+    const preview = document.getElementById('image-preview');
+    const overlayCanvas = document.getElementById('detection-canvas');
+    if (!preview || !overlayCanvas) throw new Error('Missing image preview or canvas');
+
+    // Create an offscreen canvas to merge them
+    const mergedCanvas = document.createElement('canvas');
+    mergedCanvas.width = preview.naturalWidth;
+    mergedCanvas.height = preview.naturalHeight;
+    const ctx = mergedCanvas.getContext('2d');
+
+    // Draw original image first, with faces and plates pixelated
+    ctx.drawImage(preview, 0, 0, mergedCanvas.width, mergedCanvas.height);
+    await anonymizeForUpload(mergedCanvas);
+    const raw = await canvasToJpeg(mergedCanvas);
+
+    // Draw the overlay canvas (which contains the green boxes) on top
+    // Note: overlayCanvas is already sized to naturalWidth/Height in drawBoundingBoxes
+    ctx.drawImage(overlayCanvas, 0, 0);
+    return { annotated: await canvasToJpeg(mergedCanvas), raw };
 }
 
-// Helper to get image + bounding boxes as a single Blob
-async function getCombinedCanvasBlob() {
+function canvasToJpeg(canvas) {
     return new Promise((resolve, reject) => {
-        const preview = document.getElementById('image-preview');
-        const overlayCanvas = document.getElementById('detection-canvas');
-
-        if (!preview || !overlayCanvas) {
-            reject(new Error('Missing image preview or canvas'));
-            return;
-        }
-
-        // Create an offscreen canvas to merge them
-        const mergedCanvas = document.createElement('canvas');
-        mergedCanvas.width = preview.naturalWidth;
-        mergedCanvas.height = preview.naturalHeight;
-        const ctx = mergedCanvas.getContext('2d');
-
-        // Draw original image first
-        ctx.drawImage(preview, 0, 0, mergedCanvas.width, mergedCanvas.height);
-
-        // Draw the overlay canvas (which contains the green boxes) on top
-        // Note: overlayCanvas is already sized to naturalWidth/Height in drawBoundingBoxes
-        ctx.drawImage(overlayCanvas, 0, 0);
-
-        // Convert to highly compact JPEG blob
-        mergedCanvas.toBlob(
+        canvas.toBlob(
             (blob) => {
                 if (blob) resolve(blob);
                 else reject(new Error('Failed to create blob from canvas'));
@@ -386,8 +483,9 @@ async function saveReport() {
         return;
     }
     if (!currentGPS) {
-        showToast('Cannot save image without location data. Please enable location permissions in your camera next time.', 'error');
-        return;
+        // Ask for the location instead of refusing
+        await pickLocation();
+        if (!currentGPS) return;
     }
 
     const user = auth.currentUser;
@@ -403,45 +501,32 @@ async function saveReport() {
     }
 
     try {
-        // Create canvas blob and upload to Cloudinary
+        // Create canvas blobs; uploaded now, or queued on the device if offline
         showToast('Uploading image with detection...', 'info');
-        const combinedBlob = await getCombinedCanvasBlob();
-        const uploadedImageUrl = await uploadToCloudinary(combinedBlob, currentFile.name);
-
-        const now = new Date();
-        const dd = String(now.getDate()).padStart(2, '0');
-        const mm = String(now.getMonth() + 1).padStart(2, '0');
-        const yy = String(now.getFullYear()).slice(-2);
-        const hh = String(now.getHours()).padStart(2, '0');
-        const min = String(now.getMinutes()).padStart(2, '0');
-        const formattedDate = `${dd}/${mm}/${yy} ${hh}:${min}`;
-
-        // Save to Firestore with auto-incremented ID
-        const counterRef = doc(db, 'metadata', 'reportCounter');
-        const newReportRef = doc(collection(db, 'reports'));
-
-        await runTransaction(db, async (transaction) => {
-            const counterDoc = await transaction.get(counterRef);
-            let nextId = 1;
-            if (counterDoc.exists()) {
-                nextId = (counterDoc.data().count || 0) + 1;
-            }
-
-            transaction.set(counterRef, { count: nextId });
-
-            transaction.set(newReportRef, {
-                id: nextId,
-                hazardType: detectionResult.label,
-                date: formattedDate,
-                coordinate: new GeoPoint(currentGPS.lat, currentGPS.lng),
+        const { annotated, raw } = await getReportImageBlobs();
+        const preview = document.getElementById('image-preview');
+        const detections = toStoredDetections(detectionResult.detections, preview.naturalWidth, preview.naturalHeight);
+        const { status } = await submitReport({
+            blob: annotated,
+            rawBlob: raw,
+            filename: currentFile.name,
+            report: {
+                hazardType: detectionResult.hazardType,
+                lat: currentGPS.lat,
+                lng: currentGPS.lng,
                 address: currentGPS.address || '',
-                imageUrl: uploadedImageUrl,
-                reportedBy: user.displayName || user.email || 'Unknown User',
-                status: 'new',
-            });
+                accuracy: currentGPS.accuracy ?? null,
+                locationSource: currentGPS.source,
+                detections,
+                severity: estimateSeverity({ detections })?.level ?? null,
+            },
         });
 
-        showToast('Report saved successfully!', 'success');
+        if (status === 'queued') {
+            showToast('Offline: report saved on device and will upload automatically', 'info');
+        } else {
+            showToast('Report saved successfully!', 'success');
+        }
         hideSaveButton();
 
         // Clear UI after 5 seconds
@@ -472,7 +557,11 @@ async function saveReport() {
         }, 5000);
     } catch (err) {
         console.error('[Upload] Save error:', err);
-        showToast('Failed to save report', 'error');
+        if (err.name === 'PrivacyFilterError') {
+            showToast('Could not blur faces and plates, so the photo was not uploaded', 'error');
+        } else {
+            showToast('Failed to save report', 'error');
+        }
     } finally {
         if (saveBtn) {
             saveBtn.disabled = false;
@@ -481,10 +570,544 @@ async function saveReport() {
     }
 }
 
+// ---------- Video Analysis ----------
+// Dashcam footage is sampled frame by frame through the worker; each hazard
+// the tracker follows becomes one timeline entry, geotagged from the GPS
+// track embedded in the video or a GPX / NMEA file added next to it.
+function setupVideoControls() {
+    const trackBtn = document.getElementById('gps-track-btn');
+    const trackInput = document.getElementById('gps-track-input');
+    const offsetInput = document.getElementById('gps-offset');
+
+    trackBtn?.addEventListener('click', () => trackInput?.click());
+    trackInput?.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) loadGpsTrackFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    // Geotags are worked out when shown, so a new offset applies straight away
+    offsetInput?.addEventListener('input', renderVideoHazards);
+
+    document.getElementById('analyze-video-btn')?.addEventListener('click', analyzeVideo);
+    document.getElementById('cancel-video-btn')?.addEventListener('click', () => currentVideo?.abort?.abort());
+}
+
+async function handleVideoFile(file, trackFile = null) {
+    resetImage();
+    resetVideo();
+    resetBatch();
+    const video = {
+        file,
+        url: URL.createObjectURL(file),
+        creationTime: null,
+        track: null,
+        trackSource: null,
+        fixes: [],
+        hazards: [],
+        abort: null,
+    };
+    currentVideo = video;
+
+    document.getElementById('video-panel')?.classList.remove('hidden');
+    const preview = document.getElementById('video-preview');
+    if (preview) preview.src = video.url;
+    const offsetInput = document.getElementById('gps-offset');
+    if (offsetInput) offsetInput.value = '0';
+    renderVideoHazards();
+
+    video.creationTime = await readVideoCreationTime(file);
+
+    if (trackFile) {
+        await loadGpsTrackFile(trackFile);
+        return;
+    }
+
+    setTrackStatus('Looking for GPS data in the video...');
+    const fixes = await scanEmbeddedNmea(file, {
+        onProgress: (fraction) => {
+            if (currentVideo === video && !video.track) setTrackStatus(`Looking for GPS data in the video... ${Math.round(fraction * 100)}%`);
+        },
+    });
+    if (currentVideo !== video || video.track) return; // Replaced, or a track file was added meanwhile
+
+    if (fixes.length > 0) {
+        setGpsTrack(fixes, 'embedded');
+    } else {
+        setTrackStatus('None found: add a GPX or NMEA file to geotag hazards');
+    }
+}
+
+async function loadGpsTrackFile(file) {
+    const video = currentVideo;
+    if (!video) return;
+    try {
+        const { format, fixes } = parseGpsTrack(await file.text());
+        if (fixes.length === 0) {
+            showToast(`No GPS points found in ${file.name}`, 'error');
+            return;
+        }
+        if (currentVideo === video) setGpsTrack(fixes, format);
+    } catch (err) {
+        console.error(`[Upload] Could not read GPS track ${file.name}:`, err);
+        showToast('Could not read GPS track file', 'error');
+    }
+}
+
+function setGpsTrack(fixes, source) {
+    currentVideo.fixes = fixes;
+    currentVideo.track = positionTrackFromFixes(fixes);
+    currentVideo.trackSource = source;
+
+    const names = { embedded: 'From video', gpx: 'GPX', nmea: 'NMEA' };
+    const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    setTrackStatus(`${names[source]}: ${fixes.length} points, ${time(fixes[0].time)}–${time(fixes[fixes.length - 1].time)}`);
+    renderVideoHazards();
+}
+
+// Wall-clock time of the first video frame, or null without a GPS track
+function videoStartTime() {
+    const { fixes, trackSource, creationTime } = currentVideo;
+    if (fixes.length === 0) return null;
+    const trackStart = fixes[0].time;
+    const trackEnd = fixes[fixes.length - 1].time;
+
+    let start = trackStart; // An embedded track starts with the recording
+    if (trackSource !== 'embedded' && creationTime !== null &&
+        creationTime >= trackStart - CREATION_TIME_SLACK_MS && creationTime <= trackEnd) {
+        start = creationTime;
+    }
+    const offsetSeconds = Number(document.getElementById('gps-offset')?.value) || 0;
+    return start + offsetSeconds * 1000;
+}
+
+function hazardPosition(hazard) {
+    const start = videoStartTime();
+    if (start === null) return null;
+    const capturedAt = start + hazard.time * 1000;
+    const position = currentVideo.track.positionAt(capturedAt);
+    return position ? { ...position, capturedAt } : null;
+}
+
+async function analyzeVideo() {
+    const video = currentVideo;
+    if (!video || video.abort) return;
+
+    const analyzeBtn = document.getElementById('analyze-video-btn');
+    const cancelBtn = document.getElementById('cancel-video-btn');
+    const progress = document.getElementById('video-progress');
+    const sampleFps = Number(document.getElementById('video-sample-rate')?.value) || 2;
+
+    video.abort = new AbortController();
+    video.hazards = [];
+    renderVideoHazards();
+    analyzeBtn?.classList.add('hidden');
+    cancelBtn?.classList.remove('hidden');
+    progress?.classList.remove('hidden');
+    setVideoProgress(0, 'Loading AI model...');
+
+    try {
+        await detector.ready();
+        const analyzer = new VideoAnalyzer({
+            file: video.file,
+            detector,
+            sampleFps,
+            anonymize: anonymizeForUpload,
+            onProgress: ({ time, duration, frames }) => {
+                if (currentVideo !== video) return;
+                setVideoProgress(time / duration, `${formatVideoTime(time)} / ${formatVideoTime(duration)} · ${frames} frames · ${video.hazards.length} hazard(s)`);
+            },
+            onHazard: (hazard) => {
+                if (currentVideo !== video) return;
+                video.hazards.push(hazard);
+                renderVideoHazards();
+            },
+        });
+        await analyzer.run(video.abort.signal);
+        if (currentVideo !== video) return;
+
+        const stopped = video.abort.signal.aborted;
+        setVideoProgress(stopped ? null : 1, `${stopped ? 'Stopped' : 'Done'}: ${video.hazards.length} hazard(s) found`);
+        showToast(`Video analysed: ${video.hazards.length} hazard(s)`, 'success');
+    } catch (err) {
+        console.error(`[Upload] Video analysis failed for ${video.file.name}:`, err);
+        if (currentVideo === video) {
+            setVideoProgress(null, 'Analysis failed');
+            showToast(err.message || 'Video analysis failed', 'error');
+        }
+    } finally {
+        video.abort = null;
+        if (currentVideo === video) {
+            analyzeBtn?.classList.remove('hidden');
+            cancelBtn?.classList.add('hidden');
+        }
+    }
+}
+
+function renderVideoHazards() {
+    const list = document.getElementById('video-hazards');
+    const timeline = document.getElementById('video-timeline');
+    if (!list || !timeline) return;
+
+    const hazards = currentVideo?.hazards || [];
+    const duration = document.getElementById('video-preview')?.duration;
+    timeline.classList.toggle('hidden', hazards.length === 0 || !Number.isFinite(duration));
+
+    if (Number.isFinite(duration)) {
+        timeline.innerHTML = hazards.map((hazard) => `
+          <button data-seek="${hazard.time}" title="${escapeHtml(hazard.label)} at ${formatVideoTime(hazard.time)}"
+            class="absolute top-0 h-4 w-1.5 -ml-0.5 rounded-full bg-warning hover:bg-white"
+            style="left:${(hazard.time / duration) * 100}%"></button>`).join('');
+    }
+
+    list.innerHTML = hazards.map((hazard) => {
+        const position = hazardPosition(hazard);
+        const where = position
+            ? `${position.lat.toFixed(5)}, ${position.lng.toFixed(5)}`
+            : 'No GPS position';
+        const saved = { saved: 'Saved', confirmed: 'Confirmed existing', queued: 'Queued' }[hazard.saved];
+        return `
+          <div class="glass-card-light p-3 flex items-center gap-3">
+            <button data-seek="${hazard.time}" class="flex-shrink-0">
+              <img src="${hazard.thumbUrl}" alt="${escapeHtml(hazard.label)}" class="w-24 h-16 object-cover rounded-lg" />
+            </button>
+            <div class="flex-1 min-w-0">
+              <p class="text-sm font-semibold capitalize">${escapeHtml(hazard.label)}
+                <span class="text-dark-400 font-normal">${Math.round(hazard.score * 100)}%</span></p>
+              <p class="text-xs text-dark-400">${formatVideoTime(hazard.time)} · ${where}</p>
+            </div>
+            ${saved
+                ? `<span class="text-xs text-success">${saved}</span>`
+                : `<button data-save-hazard="${hazard.id}" class="btn btn-primary text-xs py-1.5 px-3"
+                    ${position ? '' : 'disabled title="Add a GPS track to save this hazard"'}>Save</button>`}
+          </div>`;
+    }).join('');
+
+    document.querySelectorAll('#video-panel [data-seek]').forEach((el) => {
+        el.addEventListener('click', () => seekPreview(Number(el.dataset.seek)));
+    });
+    list.querySelectorAll('[data-save-hazard]').forEach((btn) => {
+        btn.addEventListener('click', () => saveVideoHazard(Number(btn.dataset.saveHazard), btn));
+    });
+}
+
+async function saveVideoHazard(hazardId, btn) {
+    const video = currentVideo;
+    const hazard = video?.hazards.find((h) => h.id === hazardId);
+    const position = hazard && hazardPosition(hazard);
+    if (!hazard || !position) return;
+    if (!hazard.blob) {
+        showToast('Could not blur faces and plates in this frame, so it cannot be uploaded', 'error');
+        return;
+    }
+    if (!auth.currentUser) {
+        showToast('Please sign in', 'error');
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const { address } = await geocodeAddress(position.lat, position.lng);
+        const baseName = video.file.name.replace(/\.[^.]+$/, '');
+        const { status } = await submitReport({
+            blob: hazard.blob,
+            rawBlob: hazard.rawBlob,
+            filename: `${baseName}_${formatVideoTime(hazard.time).replace(':', '-')}.jpg`,
+            report: {
+                hazardType: hazard.label,
+                lat: position.lat,
+                lng: position.lng,
+                address: address || '',
+                capturedAt: position.capturedAt,
+                speed: position.speed,
+                heading: position.heading,
+                locationSource: 'track',
+                detections: hazard.detections,
+                severity: estimateSeverity({ detections: hazard.detections })?.level ?? null,
+            },
+            // Long drives pass the same hazard more than once, and it may be reported already
+            dedupe: true,
+        });
+        hazard.saved = status;
+        const prefix = { queued: 'Queued offline', confirmed: 'Confirmed existing report', saved: 'Saved' }[status];
+        showToast(`${prefix}: ${hazard.label}`, status === 'queued' ? 'info' : 'success');
+    } catch (err) {
+        console.error('[Upload] Video hazard save error:', err);
+        showToast(`Could not save ${hazard.label} report`, 'error');
+    } finally {
+        if (currentVideo === video) renderVideoHazards();
+    }
+}
+
+function seekPreview(time) {
+    const preview = document.getElementById('video-preview');
+    if (!preview) return;
+    preview.currentTime = time;
+    preview.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function resetVideo() {
+    if (!currentVideo) return;
+    currentVideo.abort?.abort();
+    URL.revokeObjectURL(currentVideo.url);
+    currentVideo = null;
+
+    document.getElementById('video-panel')?.classList.add('hidden');
+    document.getElementById('video-progress')?.classList.add('hidden');
+    document.getElementById('analyze-video-btn')?.classList.remove('hidden');
+    document.getElementById('cancel-video-btn')?.classList.add('hidden');
+    const preview = document.getElementById('video-preview');
+    if (preview) preview.removeAttribute('src');
+    setTrackStatus('—');
+    renderVideoHazards();
+}
+
+// Hide the single-image result when switching to a video
+function resetImage() {
+    currentFile = null;
+    detectionResult = null;
+    currentGPS = null;
+    hideLoading();
+    hideSaveButton();
+    const preview = document.getElementById('image-preview');
+    if (preview) {
+        preview.src = '';
+        preview.classList.add('hidden');
+    }
+    const canvas = document.getElementById('detection-canvas');
+    if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    const resultEl = document.getElementById('detection-result');
+    if (resultEl) resultEl.innerHTML = '';
+    document.getElementById('location-container')?.classList.add('hidden');
+}
+
+function setTrackStatus(text) {
+    const el = document.getElementById('gps-track-status');
+    if (el) el.textContent = text;
+}
+
+// fraction null keeps the bar where it is
+function setVideoProgress(fraction, text) {
+    const bar = document.getElementById('video-progress-bar');
+    if (bar && fraction !== null) bar.style.width = `${Math.round(fraction * 100)}%`;
+    const label = document.getElementById('video-progress-text');
+    if (label) label.textContent = text;
+}
+
+function formatVideoTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// ---------- Batch Upload ----------
+// Several photos (e.g. a road survey) go through the worker one by one and
+// land in a grid; each card can be saved or discarded, or everything that
+// has a location saved at once. Further drops are added to the same batch.
+function setupBatchControls() {
+    document.getElementById('batch-clear-btn')?.addEventListener('click', resetBatch);
+    document.getElementById('batch-save-all-btn')?.addEventListener('click', saveAllBatch);
+
+    // One listener for every card
+    document.getElementById('batch-grid')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-batch-action]');
+        if (!btn || !batch) return;
+        const id = Number(btn.closest('[data-batch-id]').dataset.batchId);
+        if (btn.dataset.batchAction === 'discard') {
+            batch.discard(id);
+        } else if (btn.dataset.batchAction === 'locate') {
+            pickBatchLocation(id);
+        } else {
+            saveBatchItem(id);
+        }
+    });
+}
+
+function handleImageBatch(files) {
+    resetImage();
+    resetVideo();
+    if (!batch) {
+        batch = new ImageBatch({
+            detector,
+            readLocation: async (file) => {
+                const { location } = await readExifLocation(file);
+                return location ? { ...location, source: 'exif' } : null;
+            },
+            lookupAddress: async (lat, lng) => (await geocodeAddress(lat, lng)).address,
+            detectOptions: photoDetectOptions,
+            anonymize: anonymizeForUpload,
+            onChange: (item) => (item ? renderBatchItem(item) : renderBatch()),
+        });
+    }
+    document.getElementById('batch-panel')?.classList.remove('hidden');
+    batch.add(files);
+    showToast(`${files.length} image(s) added to the batch`, 'info');
+}
+
+async function pickBatchLocation(id) {
+    const item = batch?.get(id);
+    if (!item || !locationPicker) return;
+    const picked = await locationPicker.open({
+        initial: item.location && { ...item.location, address: item.address },
+        title: `Location of ${item.file.name}`,
+    });
+    if (!picked || batch?.get(id) !== item) return;
+
+    batch.setLocation(id, picked);
+    if (!picked.address) {
+        const { address } = await geocodeAddress(picked.lat, picked.lng);
+        if (address && batch?.get(id) === item) batch.setLocation(id, { ...item.location, address });
+    }
+}
+
+async function saveBatchItem(id) {
+    if (!auth.currentUser) {
+        showToast('Please sign in', 'error');
+        return;
+    }
+    const item = batch.get(id);
+    if (await batch.save(id)) {
+        showToast(item.saveStatus === 'queued' ? `Queued offline: ${item.file.name}` : `Saved: ${item.file.name}`,
+            item.saveStatus === 'queued' ? 'info' : 'success');
+    } else if (item?.error) {
+        showToast(`Could not save ${item.file.name}`, 'error');
+    }
+}
+
+async function saveAllBatch() {
+    if (!batch) return;
+    if (!auth.currentUser) {
+        showToast('Please sign in', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('batch-save-all-btn');
+    if (btn) btn.disabled = true;
+    showToast(`Saving ${batch.progress().saveable} report(s)...`, 'info');
+    const { saved, failed } = await batch.saveAll();
+    if (failed > 0) {
+        showToast(`Saved ${saved} report(s), ${failed} failed`, 'error');
+    } else {
+        showToast(`Saved ${saved} report(s)`, 'success');
+    }
+    renderBatchSummary();
+}
+
+function renderBatch() {
+    const grid = document.getElementById('batch-grid');
+    if (!grid) return;
+    grid.innerHTML = (batch?.items || [])
+        .filter((item) => item.status !== 'discarded')
+        .map(batchCardHtml)
+        .join('');
+    renderBatchSummary();
+}
+
+// Redraw one card in place: a 200-photo grid shouldn't re-render per result
+function renderBatchItem(item) {
+    const card = document.querySelector(`[data-batch-id="${item.id}"]`);
+    if (card) {
+        if (item.status === 'discarded') card.remove();
+        else card.outerHTML = batchCardHtml(item);
+    }
+    renderBatchSummary();
+}
+
+function renderBatchSummary() {
+    const summary = document.getElementById('batch-summary');
+    const bar = document.getElementById('batch-progress-bar');
+    const saveAllBtn = document.getElementById('batch-save-all-btn');
+    if (!batch) return;
+
+    const { total, processed, withHazards, saveable, saved } = batch.progress();
+    if (summary) {
+        summary.textContent = processed < total
+            ? `Detecting ${processed + 1} of ${total}... · ${withHazards} with hazards`
+            : `${total} image(s) · ${withHazards} with hazards · ${saved} saved`;
+    }
+    if (bar) bar.style.width = `${total ? Math.round((processed / total) * 100) : 0}%`;
+    if (saveAllBtn && !batch.items.some((item) => item.status === 'saving')) {
+        saveAllBtn.disabled = saveable === 0;
+        saveAllBtn.textContent = `💾 Save All With Location (${saveable})`;
+    }
+}
+
+function batchCardHtml(item) {
+    const labels = [...new Set(item.detections.map((d) => d.label))].join(', ');
+    let body;
+    if (item.status === 'pending' || item.status === 'detecting') {
+        let text = item.status === 'detecting' ? 'Detecting...' : 'Waiting...';
+        if (item.passes) text = `Scanning tile ${item.passes.done} of ${item.passes.total}...`;
+        body = `<p class="text-sm text-dark-400">${text}</p>`;
+    } else if (item.status === 'failed') {
+        body = `<p class="text-sm text-danger">${escapeHtml(item.error)}</p>`;
+    } else {
+        const where = item.location
+            ? (item.address || `${item.location.lat.toFixed(5)}, ${item.location.lng.toFixed(5)}`)
+            : 'No location in photo';
+        const source = item.location && item.location.source !== 'exif'
+            ? ` (${LOCATION_SOURCE_NAMES[item.location.source] || item.location.source})`
+            : '';
+        body = `
+              <p class="text-sm font-semibold ${labels ? 'text-success' : 'text-dark-400'}">${escapeHtml(labels) || 'No hazard detected'}</p>
+              <p class="text-xs ${item.location ? 'text-dark-400' : 'text-warning'}">📍 ${escapeHtml(where + source)}</p>
+              ${item.error ? `<p class="text-xs text-danger">${escapeHtml(item.error)}</p>` : ''}`;
+    }
+
+    let actions = '';
+    if (item.status === 'saved') {
+        actions = `<span class="text-xs text-success">${item.saveStatus === 'queued' ? 'Queued offline' : 'Saved'}</span>`;
+    } else if (item.status === 'saving') {
+        actions = '<div class="w-5 h-5 border-2 border-primary-500 border-t-transparent rounded-full animate-spin"></div>';
+    } else if (item.status !== 'pending' && item.status !== 'detecting') {
+        const hasHazard = item.detections.length > 0;
+        actions = `
+              <button data-batch-action="discard" class="btn btn-secondary text-xs py-1.5 px-3">Discard</button>
+              ${hasHazard ? `<button data-batch-action="locate" class="btn btn-secondary text-xs py-1.5 px-3">
+                ${item.location ? 'Move' : '📍 Set location'}</button>` : ''}
+              <button data-batch-action="save" class="btn btn-primary text-xs py-1.5 px-3"
+                ${batch.canSave(item) ? '' : 'disabled'}>Save</button>`;
+    }
+
+    return `
+          <div data-batch-id="${item.id}" class="glass-card-light overflow-hidden">
+            ${item.thumbUrl
+                ? `<img src="${item.thumbUrl}" alt="${escapeHtml(item.file.name)}" class="w-full aspect-video object-cover" />`
+                : '<div class="w-full aspect-video bg-dark-800"></div>'}
+            <div class="p-3 space-y-1">
+              <p class="text-xs text-dark-500 truncate">${escapeHtml(item.file.name)}</p>
+              ${body}
+              <div class="flex items-center justify-end gap-2 pt-1">${actions}</div>
+            </div>
+          </div>`;
+}
+
+function resetBatch() {
+    if (!batch) return;
+    batch.clear();
+    batch = null;
+    document.getElementById('batch-panel')?.classList.add('hidden');
+    const grid = document.getElementById('batch-grid');
+    if (grid) grid.innerHTML = '';
+}
+
 // ---------- UI Helpers ----------
+// File names, addresses and labels are not ours; escape them before they go into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[c]);
+}
+
 function showLoading() {
     const el = document.getElementById('detection-loading');
     if (el) el.classList.remove('hidden');
+    setLoadingText('Running hazard detection...');
+}
+
+function setLoadingText(text) {
+    const el = document.getElementById('detection-loading-text');
+    if (el) el.textContent = text;
 }
 
 function hideLoading() {
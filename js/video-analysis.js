@@ -0,0 +1,279 @@
+// ============================================
+// Video Analysis (recorded dashcam footage)
+// ============================================
+// Runs detection over a video file: frames are sampled at a fixed rate by
+// seeking a hidden <video> element, sent through the detection worker and
+// tied together by the same HazardTracker as live detection, so a hazard
+// seen over many frames comes out as one timeline entry with its best frame.
+//
+// Also reads what a video file can tell us about time and place: the MP4
+// creation time (to line the footage up with a GPX / NMEA track) and NMEA
+// sentences some dashcams embed in the file itself.
+
+import { HazardTracker } from './hazard-tracker.js';
+import { parseNmea } from './gps-track.js';
+import { annotateImage, toStoredDetections } from './detection-overlay.js';
+
+const THUMB_WIDTH = 240;
+const SEEK_TIMEOUT_MS = 10000;
+const SCAN_CHUNK_BYTES = 8 * 1024 * 1024;
+const NMEA_PATTERN = /\$G[PNLAB](?:RMC|GGA),[^\r\n$]*/g;
+const NMEA_MAX_LENGTH = 120; // Longer than any RMC / GGA sentence
+const MP4_EPOCH_OFFSET_S = 2082844800; // 1904-01-01 -> 1970-01-01
+
+export class VideoAnalyzer {
+    /**
+     * @param {object} options
+     * @param {File|Blob} options.file
+     * @param {import('./detector-client.js').DetectorClient} options.detector
+     * @param {number} [options.sampleFps] - frames analysed per second of video
+     * @param {(progress: { time: number, duration: number, frames: number }) => void} [options.onProgress]
+     * @param {(hazard: object) => void} [options.onHazard] - called as each hazard's track ends
+     * @param {(canvas: HTMLCanvasElement) => Promise<void>} [options.anonymize] - pixelates faces and
+     *   plates on a hazard's frame before its images are made
+     */
+    constructor({ file, detector, sampleFps = 2, onProgress = null, onHazard = null, anonymize = null }) {
+        this.file = file;
+        this.detector = detector;
+        this.sampleFps = sampleFps;
+        this.onProgress = onProgress;
+        this.onHazard = onHazard;
+        this.anonymize = anonymize;
+        // Sampled frames are further apart than live ones: confirm sooner, forget sooner
+        this.tracker = new HazardTracker({ minHits: sampleFps >= 2 ? 2 : 1, maxMisses: 2 });
+        this.bestFrames = new Map(); // track id -> raw canvas, box and score of its highest-scoring frame
+        this.hazards = [];
+    }
+
+    /**
+     * Analyse the whole file.
+     * @param {AbortSignal} [signal] - stops after the current frame
+     * @returns {Promise<object[]>} hazards: { id, label, score, time (s), blob, rawBlob, detections, thumbUrl }
+     *   blob has the box drawn in, rawBlob is the plain frame; detections are normalized (detection-overlay.js).
+     *   Both blobs are null when the frame couldn't be anonymized, so it can't be uploaded
+     */
+    async run(signal) {
+        const url = URL.createObjectURL(this.file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = url;
+
+        try {
+            await waitForEvent(video, 'loadedmetadata');
+            const { duration } = video;
+            if (!Number.isFinite(duration) || duration <= 0) throw new Error('Video has no readable duration');
+
+            const step = 1 / this.sampleFps;
+            let frames = 0;
+            for (let time = 0; time < duration; time += step) {
+                if (signal?.aborted) break;
+                await seek(video, time);
+                await this.processFrame(video, time, signal);
+                frames++;
+                if (this.onProgress) this.onProgress({ time, duration, frames });
+            }
+
+            // Hazards still in view at the end (or when stopped) are finished too
+            const { completed } = this.tracker.update([], duration * 1000 + 1);
+            await this.emitCompleted(completed);
+            return this.hazards;
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    // ---------- Internals ----------
+    async processFrame(video, time, signal) {
+        const bitmap = await createImageBitmap(video);
+        let result;
+        try {
+            result = await this.detector.detect(bitmap, { signal });
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            throw err;
+        }
+
+        const { improved, completed } = this.tracker.update(result.detections, time * 1000);
+        improved.forEach((track) => {
+            const canvas = captureFrame(video);
+            if (canvas) this.bestFrames.set(track.id, { canvas, time, bbox: [...track.bbox], score: track.bestScore });
+        });
+        await this.emitCompleted(completed);
+
+        // Tracks dropped before they were confirmed don't need their frame
+        const alive = new Set(this.tracker.tracks.map((track) => track.id));
+        [...this.bestFrames.keys()].forEach((id) => { if (!alive.has(id)) this.bestFrames.delete(id); });
+    }
+
+    async emitCompleted(tracks) {
+        for (const track of tracks) {
+            const best = this.bestFrames.get(track.id);
+            this.bestFrames.delete(track.id);
+            if (!best) continue;
+
+            let uploadable = true;
+            if (this.anonymize) {
+                try {
+                    await this.anonymize(best.canvas);
+                } catch (err) {
+                    console.warn(`[Video] Could not anonymize hazard ${track.id}:`, err);
+                    uploadable = false;
+                }
+            }
+
+            const detection = { label: track.label, score: best.score, bbox: best.bbox };
+            const annotated = annotateImage(best.canvas, [detection]);
+            const hazard = {
+                id: track.id,
+                label: track.label,
+                score: track.bestScore,
+                time: best.time,
+                blob: uploadable ? await new Promise((resolve) => annotated.toBlob(resolve, 'image/jpeg', 0.85)) : null,
+                rawBlob: uploadable ? await new Promise((resolve) => best.canvas.toBlob(resolve, 'image/jpeg', 0.85)) : null,
+                detections: toStoredDetections([detection], best.canvas.width, best.canvas.height),
+                thumbUrl: makeThumbnail(annotated),
+            };
+            this.hazards.push(hazard);
+            if (this.onHazard) this.onHazard(hazard);
+        }
+    }
+}
+
+// ---------- File Metadata ----------
+
+/**
+ * Recording time from an MP4 / MOV `mvhd` box, or null. Dashcams often
+ * write local time here, so callers should let the user adjust the offset.
+ * @param {File|Blob} file
+ * @returns {Promise<number|null>} epoch ms
+ */
+export async function readVideoCreationTime(file) {
+    try {
+        const moov = await findBox(file, 0, file.size, 'moov');
+        if (!moov) return null;
+        // mvhd is normally the first child; don't read a huge moov to find it
+        const mvhd = await findBox(file, moov.start, Math.min(moov.end, moov.start + 1024 * 1024), 'mvhd');
+        if (!mvhd) return null;
+
+        const view = new DataView(await file.slice(mvhd.start, mvhd.start + 12).arrayBuffer());
+        const version = view.getUint8(0);
+        const seconds = version === 1
+            ? Number(view.getBigUint64(4))
+            : view.getUint32(4);
+        if (!seconds) return null;
+        return (seconds - MP4_EPOCH_OFFSET_S) * 1000;
+    } catch (err) {
+        console.warn('[Video] Could not read creation time:', err);
+        return null;
+    }
+}
+
+/**
+ * NMEA sentences stored as text inside the video file (written by many
+ * dashcams alongside the footage). Reads the file in chunks.
+ * @param {File|Blob} file
+ * @param {object} [options]
+ * @param {(fraction: number) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object[]>} fixes, see gps-track.js
+ */
+export async function scanEmbeddedNmea(file, { onProgress = null, signal } = {}) {
+    const decoder = new TextDecoder('latin1');
+    const sentences = [];
+    let carry = '';
+
+    for (let offset = 0; offset < file.size; offset += SCAN_CHUNK_BYTES) {
+        if (signal?.aborted) break;
+        const chunk = await file.slice(offset, offset + SCAN_CHUNK_BYTES).arrayBuffer();
+        let text = carry + decoder.decode(chunk);
+
+        // A sentence may straddle two chunks: keep a trailing one for the next round
+        const lastStart = text.lastIndexOf('$');
+        carry = lastStart !== -1 && lastStart > text.length - NMEA_MAX_LENGTH ? text.slice(lastStart) : '';
+        if (carry) text = text.slice(0, lastStart);
+
+        for (const sentence of text.match(NMEA_PATTERN) || []) sentences.push(sentence);
+        if (onProgress) onProgress(Math.min(1, (offset + SCAN_CHUNK_BYTES) / file.size));
+    }
+
+    for (const sentence of carry.match(NMEA_PATTERN) || []) sentences.push(sentence);
+    return parseNmea(sentences.join('\n'));
+}
+
+// ---------- Helpers ----------
+
+// First box of `type` among the boxes laid out in [start, end)
+async function findBox(file, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const header = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+        let size = header.getUint32(0);
+        const boxType = String.fromCharCode(...new Uint8Array(header.buffer, 4, 4));
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.getBigUint64(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset; // Runs to the end of its parent
+        }
+        if (size < headerSize) return null; // Corrupt
+        if (boxType === type) return { start: offset + headerSize, end: offset + size };
+        offset += size;
+    }
+    return null;
+}
+
+function waitForEvent(target, event, timeoutMs = SEEK_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out waiting for video ${event}`));
+        }, timeoutMs);
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error('This video format cannot be decoded by the browser'));
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            target.removeEventListener(event, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        target.addEventListener(event, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+function seek(video, time) {
+    const seeked = waitForEvent(video, 'seeked');
+    video.currentTime = time;
+    return seeked;
+}
+
+function captureFrame(video) {
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    } catch {
+        return null;
+    }
+}
+
+function makeThumbnail(canvas) {
+    const scale = Math.min(1, THUMB_WIDTH / canvas.width);
+    const thumb = document.createElement('canvas');
+    thumb.width = Math.round(canvas.width * scale);
+    thumb.height = Math.round(canvas.height * scale);
+    thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+    return thumb.toDataURL('image/jpeg', 0.7);
+}
@@ -5,28 +5,101 @@
 // the main UI thread smooth at 60 FPS.
 
 importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.17.0/dist/tf.min.js');
+importScripts('yolo.js');
 
 let model = null;
+let modelConfig = null; // Built from metadata.yaml (labels, input size, channels, nms)
+let outputValidated = false;
 const MODEL_PATH = '/assets/model/model.json'; // Path to your custom model
-const LABELS = ['Crack', 'Pothole', 'Bump', 'Debris']; // Swapped Crack and Pothole
-const NMS_IOU_THRESHOLD = 0.5;
-const NMS_SCORE_THRESHOLD = 0.45;
+const METADATA_PATH = '/assets/model/metadata.yaml'; // Ultralytics export metadata
+
+// Tried in order; WASM is only downloaded if WebGL is unavailable
+const BACKEND_PREFERENCE = ['webgl', 'wasm', 'cpu'];
+const WASM_BACKEND_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.17.0/dist/';
+
+// Sliced inference: same-class boxes overlapping this much (of the smaller box) are one hazard
+const TILE_MERGE_THRESHOLD = 0.5;
+
+// Second model: faces and licence plates, blurred before images are uploaded
+const PRIVACY_MODEL_PATH = '/assets/model/privacy/model.json';
+const PRIVACY_METADATA_PATH = '/assets/model/privacy/metadata.yaml';
+const PRIVACY_SCORE_THRESHOLD = 0.25; // Low on purpose: a missed face costs more than an extra blur
+const PRIVACY_IOU_THRESHOLD = 0.45;
+const PRIVACY_MAX_REGIONS = 100;
+const PRIVACY_TILE_SCALE = 2; // Tiles of twice the model input, so faces in large photos aren't lost
+const PRIVACY_TILE_OVERLAP = 0.2;
+let privacyLoading = null; // Promise of { model, config, decode }
+
+// Debug: `?decode=js` on the worker URL (see detector-client.js) switches back to
+// the old JS-side decode, to compare timings against the tensor-side one
+const decodeOutput = new URLSearchParams(self.location.search).get('decode') === 'js'
+    ? decodePredictionsJs
+    : decodePredictions;
+if (decodeOutput === decodePredictionsJs) console.warn('[Worker] Debug: decoding on the JS side');
+
+// Runtime-tunable via the 'configure' message
+let detectionConfig = {
+    scoreThresholds: {}, // model label (as in `labels`) -> minimum score
+    defaultScoreThreshold: 0.45,
+    iouThreshold: 0.5,
+    maxDetections: 20,
+};
 
 // ---------- Message Handler ----------
+// Requests may carry a requestId; it is echoed back on the matching
+// result or error so the client (detector-client.js) can correlate them.
+// Cancels are only recorded for requests still in flight, and both sets are
+// cleared when a request finishes, so late or stray cancels can't pile up.
+const activeRequests = new Set();
+const cancelledRequests = new Set();
+
+async function trackRequest(requestId, run) {
+    activeRequests.add(requestId);
+    try {
+        await run();
+    } finally {
+        activeRequests.delete(requestId);
+        cancelledRequests.delete(requestId);
+    }
+}
+
 self.onmessage = async (e) => {
-    const { type, image } = e.data;
+    const { type, image, config, tiling, requestId } = e.data;
 
     switch (type) {
         case 'load-model':
             await loadModel();
             break;
 
+        case 'configure':
+            try {
+                configureDetection(config);
+                self.postMessage({ type: 'configured', data: detectionConfig, requestId });
+            } catch (err) {
+                self.postMessage({ type: 'error', data: err.message, requestId });
+            }
+            break;
+
         case 'detect':
             if (!model) {
-                self.postMessage({ type: 'error', data: 'Model not loaded' });
+                image?.close?.();
+                self.postMessage({ type: 'error', data: 'Model not loaded', requestId });
+                return;
+            }
+            await trackRequest(requestId, () => runDetection(image, requestId, tiling));
+            break;
+
+        case 'detect-privacy':
+            if (!model) {
+                image?.close?.();
+                self.postMessage({ type: 'error', data: 'Model not loaded', requestId });
                 return;
             }
-            await runDetection(image);
+            await trackRequest(requestId, () => runPrivacyDetection(image, requestId));
+            break;
+
+        case 'cancel':
+            if (activeRequests.has(requestId)) cancelledRequests.add(requestId);
             break;
     }
 };
@@ -34,170 +107,392 @@ self.onmessage = async (e) => {
 // ---------- Load Model ----------
 async function loadModel() {
     try {
+        self.postMessage({ type: 'status', data: 'Selecting backend...' });
+        const { backend, skipped } = await selectBackend();
+
         self.postMessage({ type: 'status', data: 'Loading model...' });
 
+        // Class names, input geometry and output format come from the export metadata
+        modelConfig = await loadModelConfig();
+
         // Load the custom TensorFlow.js model
         // Supports: tf.loadGraphModel (converted SavedModel/frozen) or tf.loadLayersModel (Keras)
-        model = await tf.loadGraphModel(MODEL_PATH);
+        model = await tf.loadGraphModel(MODEL_PATH, { fetchFunc: fetchWithCacheFallback });
 
-        console.log('[Worker] Model loaded successfully');
-        self.postMessage({ type: 'model-loaded', data: { success: true } });
+        // Fail fast when the graph declares its output shape; warm-up checks the real tensor
+        outputValidated = false;
+        const outputShape = model.outputs?.[0]?.shape;
+        if (outputShape) validateOutputShape(outputShape, modelConfig);
+
+        self.postMessage({ type: 'status', data: 'Warming up...' });
+        const warmupMs = await warmUp(model, modelConfig);
+        outputValidated = true;
+
+        console.log(`[Worker] Model loaded on ${backend} (warm-up ${warmupMs.toFixed(0)} ms)`, modelConfig);
+        self.postMessage({
+            type: 'model-loaded',
+            data: {
+                success: true,
+                labels: modelConfig.labels,
+                modelVersion: modelConfig.version,
+                backend,
+                skippedBackends: skipped,
+                warmupMs,
+            },
+        });
     } catch (err) {
         console.error('[Worker] Model load error:', err);
         self.postMessage({ type: 'error', data: `Failed to load model: ${err.message}` });
     }
 }
 
+// ---------- Backend Selection ----------
+// Returns the first backend in BACKEND_PREFERENCE that initializes, plus why the others didn't
+async function selectBackend() {
+    const skipped = [];
+
+    for (const name of BACKEND_PREFERENCE) {
+        try {
+            if (name === 'wasm' && !tf.findBackendFactory('wasm')) {
+                importScripts(`${WASM_BACKEND_URL}tf-backend-wasm.min.js`);
+                tf.wasm.setWasmPaths(WASM_BACKEND_URL);
+            }
+            if (await tf.setBackend(name)) {
+                await tf.ready();
+                return { backend: tf.getBackend(), skipped };
+            }
+            skipped.push({ backend: name, reason: 'initialization failed' });
+        } catch (err) {
+            skipped.push({ backend: name, reason: err.message });
+        }
+        console.warn(`[Worker] Backend "${name}" unavailable`, skipped[skipped.length - 1].reason);
+    }
+
+    throw new Error('No TensorFlow.js backend available');
+}
+
+// ---------- Warm-up ----------
+// The first inference compiles shaders / allocates buffers; do it on a dummy
+// tensor so the first real frame is fast. Also validates the real output shape.
+// (An all-grey input says nothing about box format; see resolveBoxFormat.)
+async function warmUp(graphModel, config) {
+    const start = performance.now();
+    const { inputWidth, inputHeight, channels } = config;
+
+    const dummy = tf.zeros([1, inputHeight, inputWidth, channels]);
+    const predictions = await graphModel.predict(dummy);
+    const output = Array.isArray(predictions) ? predictions[0] : predictions;
+
+    try {
+        validateOutputShape(output.shape, config);
+    } finally {
+        dummy.dispose();
+        tf.dispose(predictions);
+    }
+
+    return performance.now() - start;
+}
+
+// ---------- Offline Fallback ----------
+// sw.js keeps the model in a versioned cache and serves it offline. When this
+// worker's requests don't go through the SW (first visit, hard reload), read
+// that cache directly if the network is down.
+async function fetchWithCacheFallback(input, init) {
+    try {
+        return await fetch(input, init);
+    } catch (err) {
+        const cached = await caches.match(input, { ignoreSearch: true });
+        if (cached) {
+            console.warn('[Worker] Offline, using cached model file:', String(input));
+            return cached;
+        }
+        throw err;
+    }
+}
+
+async function loadModelConfig() {
+    const res = await fetchWithCacheFallback(METADATA_PATH);
+    if (!res.ok) throw new Error(`Model metadata not found at ${METADATA_PATH}`);
+    return buildModelConfig(parseYaml(await res.text()));
+}
+
+// ---------- Configure ----------
+// Accepts any subset of { scoreThresholds, defaultScoreThreshold, iouThreshold, maxDetections }.
+// Throws on invalid values and leaves the current settings untouched.
+function configureDetection(config = {}) {
+    const isScore = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+    const next = { ...detectionConfig };
+
+    if (config.scoreThresholds) {
+        next.scoreThresholds = {};
+        for (const [label, value] of Object.entries(config.scoreThresholds)) {
+            if (!isScore(value)) {
+                throw new Error(`Invalid score threshold for "${label}": ${value}`);
+            }
+            next.scoreThresholds[label] = value;
+        }
+    }
+    if (config.defaultScoreThreshold !== undefined) {
+        if (!isScore(config.defaultScoreThreshold)) {
+            throw new Error(`Invalid default score threshold: ${config.defaultScoreThreshold}`);
+        }
+        next.defaultScoreThreshold = config.defaultScoreThreshold;
+    }
+    if (config.iouThreshold !== undefined) {
+        if (!isScore(config.iouThreshold)) {
+            throw new Error(`Invalid IoU threshold: ${config.iouThreshold}`);
+        }
+        next.iouThreshold = config.iouThreshold;
+    }
+    if (config.maxDetections !== undefined) {
+        if (!Number.isInteger(config.maxDetections) || config.maxDetections < 1) {
+            throw new Error(`Invalid max detections: ${config.maxDetections}`);
+        }
+        next.maxDetections = config.maxDetections;
+    }
+
+    detectionConfig = next;
+}
+
+// Per-class thresholds in model class order
+function classScoreThresholds() {
+    return modelConfig.labels.map((label) => {
+        const value = detectionConfig.scoreThresholds[label];
+        return value === undefined ? detectionConfig.defaultScoreThreshold : value;
+    });
+}
+
 // ---------- Run Detection ----------
-async function runDetection(imageBitmap) {
+// `tiling` ({ tileSize, overlap }) switches on sliced inference for large photos
+async function runDetection(imageBitmap, requestId, tiling = null) {
+    if (cancelledRequests.delete(requestId)) {
+        imageBitmap.close();
+        return;
+    }
+
+    let tensor = null;
     try {
+        const startTime = performance.now();
+
         // Convert ImageBitmap to tensor
-        const tensor = tf.browser.fromPixels(imageBitmap);
+        tensor = tf.browser.fromPixels(imageBitmap, modelConfig.channels);
         const [height, width] = tensor.shape;
 
-        // Preprocess: resize to model input size and normalize
-        const inputSize = 640; // Adjust based on your model
-        const resized = tf.image.resizeBilinear(tensor, [inputSize, inputSize]);
-        const normalized = resized.div(255.0);
-        const batched = normalized.expandDims(0);
+        const tiles = tiling ? computeTiles(width, height, tiling.tileSize, tiling.overlap) : [];
+        const data = tiles.length > 1
+            ? await detectTiled(tensor, tiles, requestId, hazardRunner(), detectionConfig.maxDetections)
+            : await detectFrame(tensor, hazardRunner());
+        if (!data) return; // Cancelled between tiles
+        data.timings.total = performance.now() - startTime;
+
+        // Send results back to main thread (unless cancelled meanwhile)
+        if (!cancelledRequests.delete(requestId)) {
+            self.postMessage({ type: 'detection-result', data, requestId });
+        }
+    } catch (err) {
+        console.error('[Worker] Detection error:', err);
+        cancelledRequests.delete(requestId);
+        self.postMessage({ type: 'error', data: err.message, requestId });
+    } finally {
+        // Cleanup tensor and close the ImageBitmap
+        if (tensor) tensor.dispose();
+        imageBitmap.close();
+    }
+}
 
-        // Run inference
-        const predictions = await model.predict(batched);
+// A loaded model plus how to decode its output: the hazard model, or the privacy model
+function hazardRunner() {
+    return { model, config: modelConfig, decode: parseDetections };
+}
 
-        // Parse results (adjust based on your model's output format)
-        const detections = await parseDetections(predictions, width, height);
+// One letterboxed pass over an [h, w, c] pixel tensor
+async function detectFrame(tensor, runner) {
+    const timings = {};
+    const startTime = performance.now();
+    const [height, width] = tensor.shape;
+    const { config } = runner;
 
-        // Apply Non-Maximum Suppression
-        const filtered = await applyNMS(detections);
+    // Preprocess: letterbox to model input size (keeps aspect ratio) and normalize
+    const letterbox = computeLetterbox(width, height, config.inputWidth, config.inputHeight);
+    const batched = letterboxImage(tf, tensor, letterbox);
+    timings.preprocess = performance.now() - startTime;
 
-        // Send results back to main thread
-        self.postMessage({
-            type: 'detection-result',
-            data: { detections: filtered },
-        });
+    // Run inference
+    // On WebGL this mostly queues GPU work; the wait shows up under "decode"
+    const stageStart = performance.now();
+    const predictions = await runner.model.predict(batched);
+    timings.inference = performance.now() - stageStart;
 
-        // Cleanup tensors
-        tensor.dispose();
-        resized.dispose();
-        normalized.dispose();
+    try {
+        // Decode + class-aware NMS on the tensor side, back-projected to original pixels
+        const { detections, timings: decodeTimings } = await runner.decode(predictions, letterbox);
+        Object.assign(timings, decodeTimings);
+        return { detections, letterbox, timings };
+    } finally {
         batched.dispose();
-        if (Array.isArray(predictions)) {
-            predictions.forEach((p) => p.dispose());
-        } else {
-            predictions.dispose();
+        tf.dispose(predictions);
+    }
+}
+
+// ---------- Sliced Inference ----------
+// Small cracks shrink to a few pixels when a 12 MP photo is letterboxed to
+// the model input. Each tile is cropped at native resolution and run on its
+// own, plus one full-frame pass for hazards larger than a tile; the boxes are
+// then merged across tile seams. Posts a `detection-progress` message per pass.
+// Resolves null if the request is cancelled between passes.
+async function detectTiled(tensor, tiles, requestId, runner, maxDetections) {
+    const passes = tiles.length + 1;
+    const timings = { preprocess: 0, inference: 0, decode: 0, nms: 0, merge: 0, tiles: tiles.length };
+    const all = [];
+
+    const addTimings = (pass) => {
+        ['preprocess', 'inference', 'decode', 'nms'].forEach((key) => { timings[key] += pass[key] || 0; });
+    };
+    const reportProgress = (done) => {
+        self.postMessage({ type: 'detection-progress', data: { done, total: passes }, requestId });
+    };
+
+    // Full frame first: catches hazards bigger than a tile
+    const full = await detectFrame(tensor, runner);
+    addTimings(full.timings);
+    all.push(...full.detections);
+    reportProgress(1);
+
+    for (let i = 0; i < tiles.length; i++) {
+        if (cancelledRequests.delete(requestId)) return null;
+
+        const tile = tiles[i];
+        const crop = tensor.slice([tile.y, tile.x, 0], [tile.height, tile.width, -1]);
+        try {
+            const pass = await detectFrame(crop, runner);
+            addTimings(pass.timings);
+            pass.detections.forEach((det) => {
+                all.push({ ...det, bbox: [det.bbox[0] + tile.x, det.bbox[1] + tile.y, det.bbox[2], det.bbox[3]] });
+            });
+        } finally {
+            crop.dispose();
         }
+        reportProgress(i + 2);
+    }
 
-        // Close the ImageBitmap
+    const mergeStart = performance.now();
+    const detections = mergeTiledDetections(all, {
+        matchThreshold: TILE_MERGE_THRESHOLD,
+        maxDetections,
+    });
+    timings.merge = performance.now() - mergeStart;
+
+    return { detections, letterbox: full.letterbox, timings };
+}
+
+// ---------- Privacy Detection ----------
+// Faces and licence plates from the privacy model, in original pixels, for
+// the page to blur. Large images are tiled (the full frame alone would shrink
+// a distant face to a few pixels). The model is loaded on first use; if it
+// can't be, the request fails rather than letting an unblurred image through.
+async function runPrivacyDetection(imageBitmap, requestId) {
+    if (cancelledRequests.delete(requestId)) {
         imageBitmap.close();
+        return;
+    }
+
+    let tensor = null;
+    try {
+        const runner = await loadPrivacyModel();
+        const startTime = performance.now();
+
+        tensor = tf.browser.fromPixels(imageBitmap, runner.config.channels);
+        const [height, width] = tensor.shape;
+        const tileSize = Math.max(runner.config.inputWidth, runner.config.inputHeight) * PRIVACY_TILE_SCALE;
+        const tiles = computeTiles(width, height, tileSize, PRIVACY_TILE_OVERLAP);
+        const data = tiles.length > 1
+            ? await detectTiled(tensor, tiles, requestId, runner, PRIVACY_MAX_REGIONS)
+            : await detectFrame(tensor, runner);
+        if (!data) return; // Cancelled between tiles
+        data.timings.total = performance.now() - startTime;
+
+        if (!cancelledRequests.delete(requestId)) {
+            self.postMessage({
+                type: 'privacy-result',
+                data: { regions: data.detections, timings: data.timings },
+                requestId,
+            });
+        }
     } catch (err) {
-        console.error('[Worker] Detection error:', err);
-        self.postMessage({ type: 'error', data: err.message });
+        console.error('[Worker] Privacy detection error:', err);
+        cancelledRequests.delete(requestId);
+        self.postMessage({ type: 'error', data: err.message, requestId });
+    } finally {
+        if (tensor) tensor.dispose();
         imageBitmap.close();
     }
 }
 
+// Shared by concurrent requests; a failed load is retried by the next one
+function loadPrivacyModel() {
+    if (!privacyLoading) {
+        privacyLoading = (async () => {
+            const res = await fetchWithCacheFallback(PRIVACY_METADATA_PATH);
+            if (!res.ok) throw new Error(`Privacy model metadata not found at ${PRIVACY_METADATA_PATH}`);
+            const config = buildModelConfig(parseYaml(await res.text()));
+            const privacyModel = await tf.loadGraphModel(PRIVACY_MODEL_PATH, { fetchFunc: fetchWithCacheFallback });
+            const warmupMs = await warmUp(privacyModel, config);
+
+            const options = {
+                scoreThresholds: config.labels.map(() => PRIVACY_SCORE_THRESHOLD),
+                iouThreshold: PRIVACY_IOU_THRESHOLD,
+                maxDetections: PRIVACY_MAX_REGIONS,
+            };
+            const runner = {
+                model: privacyModel,
+                config,
+                decode: async (predictions, letterbox) => {
+                    const output = Array.isArray(predictions) ? predictions[0] : predictions;
+                    await resolveBoxFormat(output, config, options.scoreThresholds);
+                    return decodeOutput(tf, output, letterbox, config, options);
+                },
+            };
+            console.log(`[Worker] Privacy model loaded (warm-up ${warmupMs.toFixed(0)} ms)`, config.labels);
+            return runner;
+        })().catch((err) => {
+            privacyLoading = null;
+            throw new Error(`Failed to load privacy model: ${err.message}`);
+        });
+    }
+    return privacyLoading;
+}
+
 // ---------- Parse Detections ----------
 // YOLOv12 output format is typically: [batch_size, 4_bbox_coords + num_classes, num_anchors]
 // For this model: [1, 6, 8400] -> (x_center, y_center, width, height, class0_conf, class1_conf)
-async function parseDetections(predictions, origWidth, origHeight) {
-    const detections = [];
-
+// NMS/end2end exports instead return [1, max_det, 6] -> (x1, y1, x2, y2, score, class_id)
+// Decoding, NMS and letterbox back-projection live in yolo.js.
+async function parseDetections(predictions, letterbox) {
     // Extract the output tensor
     const outputTensor = Array.isArray(predictions) ? predictions[0] : predictions;
 
-    // Squeeze the batch dimension and transpose from [6, 8400] to [8400, 6]
-    // so each row is a single detection anchor prediction
-    const squeezed = outputTensor.squeeze([0]);
-    const transposed = squeezed.transpose([1, 0]);
-    const data = await transposed.data();
-
-    const numAnchors = transposed.shape[0]; // should be 8400
-    const numFeatures = transposed.shape[1]; // should be 6
-    const numClasses = numFeatures - 4; // 2 classes in this case
-
-    for (let i = 0; i < numAnchors; i++) {
-        const offset = i * numFeatures;
-
-        // Find best class confidence
-        let maxClassConf = -1;
-        let classId = -1;
-        for (let c = 0; c < numClasses; c++) {
-            const conf = data[offset + 4 + c];
-            if (conf > maxClassConf) {
-                maxClassConf = conf;
-                classId = c;
-            }
-        }
-
-        // If below threshold, skip
-        if (maxClassConf < NMS_SCORE_THRESHOLD) continue;
-
-        const xCenter = data[offset];
-        const yCenter = data[offset + 1];
-        const w = data[offset + 2];
-        const h = data[offset + 3];
-
-        // Normalize coordinates (0-1) in case the model outputs 0-640 (tensor size)
-        // Some models output normalized coordinates, others do not.
-        const scaleX = xCenter > 1 ? 1 / 640 : 1;
-        const scaleY = yCenter > 1 ? 1 / 640 : 1;
-        const scaleW = w > 1 ? 1 / 640 : 1;
-        const scaleH = h > 1 ? 1 / 640 : 1;
-
-        const normX = xCenter * scaleX;
-        const normY = yCenter * scaleY;
-        const normW = w * scaleW;
-        const normH = h * scaleH;
-
-        // Convert normalized coordinates to pixel coordinates for the original image
-        detections.push({
-            bbox: [
-                (normX - normW / 2) * origWidth,
-                (normY - normH / 2) * origHeight,
-                normW * origWidth,
-                normH * origHeight,
-            ],
-            score: maxClassConf,
-            label: LABELS[classId] || `Class ${classId}`,
-            classId,
-        });
+    if (!outputValidated) {
+        validateOutputShape(outputTensor.shape, modelConfig);
+        outputValidated = true;
     }
 
-    squeezed.dispose();
-    transposed.dispose();
+    const scoreThresholds = classScoreThresholds();
+    await resolveBoxFormat(outputTensor, modelConfig, scoreThresholds);
 
-    return detections;
+    return decodeOutput(tf, outputTensor, letterbox, modelConfig, {
+        scoreThresholds,
+        iouThreshold: detectionConfig.iouThreshold,
+        maxDetections: detectionConfig.maxDetections,
+    });
 }
 
-// ---------- Non-Maximum Suppression ----------
-async function applyNMS(detections) {
-    if (detections.length === 0) return [];
-
-    const boxes = detections.map((d) => [
-        d.bbox[1], // y1
-        d.bbox[0], // x1
-        d.bbox[1] + d.bbox[3], // y2
-        d.bbox[0] + d.bbox[2], // x2
-    ]);
-    const scores = detections.map((d) => d.score);
-
-    const boxesTensor = tf.tensor2d(boxes);
-    const scoresTensor = tf.tensor1d(scores);
-
-    const nmsIndices = await tf.image.nonMaxSuppressionAsync(
-        boxesTensor,
-        scoresTensor,
-        20, // max detections
-        NMS_IOU_THRESHOLD,
-        NMS_SCORE_THRESHOLD
-    );
-
-    const indices = await nmsIndices.data();
-    const filtered = Array.from(indices).map((i) => detections[i]);
-
-    boxesTensor.dispose();
-    scoresTensor.dispose();
-    nmsIndices.dispose();
-
-    return filtered;
+// Box format for exports whose metadata doesn't declare it: inferred from the
+// first real frame with a box above the lowest threshold, then kept for the model.
+// Until then nothing passes the thresholds, so the default (pixels) is harmless.
+async function resolveBoxFormat(output, config, scoreThresholds) {
+    if (config.normalizedBoxes !== null) return;
+    const normalized = await detectNormalizedBoxes(tf, output, config, Math.min(...scoreThresholds));
+    if (normalized === null) return;
+    config.normalizedBoxes = normalized;
+    console.log(`[Worker] Box format inferred: ${normalized ? 'normalized 0-1' : 'input pixels'}`);
 }
@@ -0,0 +1,557 @@
+// ============================================
+// YOLO Model Helpers (shared by worker.js)
+// ============================================
+// Plain script: loaded into the worker with importScripts()
+// and exported through module.exports when required from Node.
+
+// ---------- Minimal YAML Parser ----------
+// Ultralytics writes a small, predictable subset of YAML in metadata.yaml:
+// nested maps, block lists (often at the same indent as their key) and scalars.
+function parseYaml(text) {
+    const lines = text
+        .split(/\r?\n/)
+        .filter((line) => line.trim() && !line.trim().startsWith('#'))
+        .map((line) => ({ indent: line.search(/\S/), text: line.trim() }));
+    let i = 0;
+
+    const isListItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+    function parseBlock(indent) {
+        if (isListItem(lines[i])) {
+            const list = [];
+            while (i < lines.length && lines[i].indent === indent && isListItem(lines[i])) {
+                list.push(parseScalar(lines[i].text.slice(1).trim()));
+                i++;
+            }
+            return list;
+        }
+
+        const map = {};
+        while (i < lines.length && lines[i].indent === indent && !isListItem(lines[i])) {
+            const { text } = lines[i];
+            const sep = text.indexOf(':');
+            if (sep === -1) throw new Error(`Invalid YAML line: "${text}"`);
+
+            const key = unquote(text.slice(0, sep).trim());
+            const rest = text.slice(sep + 1).trim();
+            i++;
+
+            const next = lines[i];
+            if (rest) {
+                map[key] = parseScalar(rest);
+            } else if (next && (next.indent > indent || (next.indent === indent && isListItem(next)))) {
+                map[key] = parseBlock(next.indent);
+            } else {
+                map[key] = null;
+            }
+        }
+        return map;
+    }
+
+    return lines.length > 0 ? parseBlock(lines[0].indent) : {};
+}
+
+function unquote(value) {
+    if (value.length >= 2 && (value[0] === '"' || value[0] === "'") && value.endsWith(value[0])) {
+        return value.slice(1, -1);
+    }
+    return value;
+}
+
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? inner.split(',').map(parseScalar) : [];
+    }
+    if (value[0] === '"' || value[0] === "'") return unquote(value);
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null' || value === '~') return null;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// ---------- Model Config ----------
+/**
+ * Turn parsed metadata.yaml into the settings the worker runs with.
+ * @param {object} meta - parsed Ultralytics export metadata
+ * @returns {{ version: string, description: string, labels: string[], inputWidth: number, inputHeight: number, stride: number,
+ *             channels: number, nms: boolean, end2end: boolean, normalizedBoxes: boolean|null }}
+ *          normalizedBoxes is null when the metadata doesn't say; see detectNormalizedBoxes
+ */
+function buildModelConfig(meta) {
+    if (!meta || typeof meta !== 'object') {
+        throw new Error('Model metadata is empty or invalid');
+    }
+
+    const names = meta.names;
+    if (!names || typeof names !== 'object' || Object.keys(names).length === 0) {
+        throw new Error('Model metadata has no class "names"');
+    }
+    const labels = [];
+    Object.keys(names).forEach((key) => {
+        const index = Number(key);
+        if (!Number.isInteger(index) || index < 0) {
+            throw new Error(`Model metadata has an invalid class index "${key}"`);
+        }
+        labels[index] = formatLabel(String(names[key]));
+    });
+    for (let c = 0; c < labels.length; c++) {
+        if (labels[c] === undefined) labels[c] = `Class ${c}`;
+    }
+
+    // imgsz is [height, width]; a single number means a square input
+    const imgsz = Array.isArray(meta.imgsz) ? meta.imgsz : [meta.imgsz, meta.imgsz];
+    const inputHeight = Number(imgsz[0]);
+    const inputWidth = Number(imgsz[imgsz.length - 1]);
+    if (!(inputHeight > 0) || !(inputWidth > 0)) {
+        throw new Error(`Model metadata has an invalid "imgsz": ${JSON.stringify(meta.imgsz)}`);
+    }
+
+    const channels = meta.channels === undefined ? 3 : Number(meta.channels);
+    if (![1, 3, 4].includes(channels)) {
+        throw new Error(`Model metadata declares unsupported channel count: ${meta.channels}`);
+    }
+
+    return {
+        version: getModelVersion(meta),
+        description: meta.description || '',
+        labels,
+        inputWidth,
+        inputHeight,
+        stride: Number(meta.stride) || 32,
+        channels,
+        nms: Boolean(meta.nms || meta.args?.nms),
+        end2end: Boolean(meta.end2end),
+        normalizedBoxes: readNormalizedBoxes(meta),
+    };
+}
+
+// Box coordinate format declared by the export: an explicit `normalized_boxes`
+// (top level or under `args`), else the export format (TFLite / Edge TPU heads
+// emit 0-1 boxes, TF.js and SavedModel input pixels). null when neither is present.
+function readNormalizedBoxes(meta) {
+    const flag = meta.normalized_boxes ?? meta.args?.normalized_boxes;
+    if (typeof flag === 'boolean') return flag;
+
+    const format = String(meta.format ?? meta.args?.format ?? '').toLowerCase();
+    if (['tflite', 'edgetpu'].includes(format)) return true;
+    if (['tfjs', 'saved_model', 'pb'].includes(format)) return false;
+    return null;
+}
+
+/**
+ * Identify a model export. Ultralytics' `version` is the library version, so the
+ * export timestamp (`date`) is what changes between retrained models.
+ * Shared with sw.js, which names the model cache after it.
+ */
+function getModelVersion(meta) {
+    return String(meta?.date || meta?.version || 'unknown');
+}
+
+// 'pothole' -> 'Pothole', matching the labels already stored on reports
+function formatLabel(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Check that the model's output tensor matches what metadata.yaml promised.
+ * Raw heads are [1, 4 + numClasses, anchors]; NMS/end2end exports are [1, maxDet, 6].
+ * Unknown dimensions (-1 / null) are skipped.
+ * @throws {Error} with a readable description of the mismatch
+ */
+function validateOutputShape(shape, config) {
+    if (!Array.isArray(shape) || shape.length !== 3) {
+        throw new Error(`Unexpected model output shape ${JSON.stringify(shape)}; expected a 3D tensor`);
+    }
+    const known = (dim) => typeof dim === 'number' && dim >= 0;
+    const numClasses = config.labels.length;
+
+    if (config.nms || config.end2end) {
+        if (known(shape[2]) && shape[2] !== 6) {
+            throw new Error(
+                `Model metadata declares NMS output but the model returns ${shape[2]} values per box (expected 6)`
+            );
+        }
+        return;
+    }
+
+    if (known(shape[1]) && shape[1] !== 4 + numClasses) {
+        throw new Error(
+            `Model output has ${shape[1] - 4} class channels but metadata.yaml declares ${numClasses} ` +
+            `(${config.labels.join(', ')})`
+        );
+    }
+}
+
+// ---------- Letterbox ----------
+/**
+ * Aspect-preserving resize parameters: the image is scaled to fit the model
+ * input and centred, with the remainder padded (Ultralytics letterbox).
+ * @returns {{ scale: number, width: number, height: number, padX: number, padY: number,
+ *             srcWidth: number, srcHeight: number, dstWidth: number, dstHeight: number }}
+ */
+function computeLetterbox(srcWidth, srcHeight, dstWidth, dstHeight) {
+    const scale = Math.min(dstWidth / srcWidth, dstHeight / srcHeight);
+    const width = Math.min(dstWidth, Math.round(srcWidth * scale));
+    const height = Math.min(dstHeight, Math.round(srcHeight * scale));
+    return {
+        scale,
+        width,
+        height,
+        padX: Math.floor((dstWidth - width) / 2),
+        padY: Math.floor((dstHeight - height) / 2),
+        srcWidth,
+        srcHeight,
+        dstWidth,
+        dstHeight,
+    };
+}
+
+/**
+ * Resize + pad an [h, w, c] pixel tensor into a normalized [1, dstH, dstW, c] model input.
+ * Padding uses the grey (114) Ultralytics trains with.
+ */
+function letterboxImage(tf, image, lb) {
+    return tf.tidy(() => {
+        const resized = tf.image.resizeBilinear(image, [lb.height, lb.width]);
+        const padded = resized.pad(
+            [
+                [lb.padY, lb.dstHeight - lb.height - lb.padY],
+                [lb.padX, lb.dstWidth - lb.width - lb.padX],
+                [0, 0],
+            ],
+            114
+        );
+        return padded.div(255).expandDims(0);
+    });
+}
+
+/**
+ * Map a box from model-input pixels back onto the original image.
+ * @param {number[]} box - [x1, y1, x2, y2] in letterboxed input pixels
+ * @returns {number[]|null} [x, y, w, h] in original pixels, clipped to the image; null if nothing is left
+ */
+function projectBox(box, lb) {
+    const clampX = (v) => Math.min(Math.max(v, 0), lb.srcWidth);
+    const clampY = (v) => Math.min(Math.max(v, 0), lb.srcHeight);
+
+    const x1 = clampX((box[0] - lb.padX) / lb.scale);
+    const y1 = clampY((box[1] - lb.padY) / lb.scale);
+    const x2 = clampX((box[2] - lb.padX) / lb.scale);
+    const y2 = clampY((box[3] - lb.padY) / lb.scale);
+
+    if (x2 <= x1 || y2 <= y1) return null;
+    return [x1, y1, x2 - x1, y2 - y1];
+}
+
+// ---------- Decoding ----------
+/**
+ * Whether an export emits box coordinates normalized to 0-1 rather than input pixels,
+ * for models whose metadata doesn't say. Judged from the largest coordinate among rows
+ * scoring at least minScore, so it needs a real frame with something in it: resolves
+ * null when no row qualifies (nothing would be detected either way) and the worker
+ * tries again on the next frame, caching the first answer on its config.
+ */
+async function detectNormalizedBoxes(tf, output, config, minScore) {
+    const coordMax = tf.tidy(() => {
+        const endToEnd = config.nms || config.end2end;
+        const rows = endToEnd ? output.squeeze([0]) : output.squeeze([0]).transpose([1, 0]);
+        const boxes = rows.slice([0, 0], [-1, 4]).max(1);
+        const scores = endToEnd ? rows.slice([0, 4], [-1, 1]).squeeze([1]) : rows.slice([0, 4], [-1, -1]).max(1);
+        // -1 marks rows below minScore
+        return tf.where(scores.greaterEqual(minScore), boxes, tf.fill(boxes.shape, -1)).max();
+    });
+    const [value] = await coordMax.data();
+    coordMax.dispose();
+    if (value < 0) return null;
+    return value <= 1.5;
+}
+
+/**
+ * Decode a YOLO output tensor into detections in original-image pixels.
+ * Raw heads: [1, 4 + numClasses, anchors] of (cx, cy, w, h, class scores...).
+ * NMS/end2end heads: [1, maxDet, 6] of (x1, y1, x2, y2, score, classId).
+ *
+ * Raw heads are decoded on the tensor side (argmax, score mask, xywh -> yxyx) and
+ * run through class-aware NMS, so only surviving boxes are downloaded to JS.
+ * @param {{ scoreThresholds: number[], iouThreshold: number, maxDetections: number }} options
+ *        scoreThresholds holds one minimum score per class, in class order
+ * @returns {Promise<{ detections: Array<{ bbox: number[], score: number, label: string, classId: number }>,
+ *                     timings: { decode: number, nms: number } }>}
+ */
+async function decodePredictions(tf, output, lb, config, options) {
+    if (config.nms || config.end2end) {
+        return decodeEndToEnd(tf, output, lb, config, options);
+    }
+
+    const timings = { decode: 0, nms: 0 };
+    let start = performance.now();
+
+    const s = config.normalizedBoxes ? [lb.dstWidth, lb.dstHeight] : [1, 1];
+    const [boxes, scores, classes] = tf.tidy(() => {
+        const rows = output.squeeze([0]).transpose([1, 0]); // [anchors, 4 + numClasses]
+        const [cx, cy, w, h] = tf.split(rows.slice([0, 0], [-1, 4]), 4, 1);
+        const classScores = rows.slice([0, 4], [-1, -1]);
+
+        const halfW = w.mul(s[0] / 2);
+        const halfH = h.mul(s[1] / 2);
+        const x = cx.mul(s[0]);
+        const y = cy.mul(s[1]);
+        const yxyx = tf.concat([y.sub(halfH), x.sub(halfW), y.add(halfH), x.add(halfW)], 1);
+
+        return [yxyx, classScores.max(1), classScores.argMax(1)];
+    });
+
+    const minScore = Math.min(...options.scoreThresholds);
+    const mask = tf.tidy(() => scores.greaterEqual(tf.gather(tf.tensor1d(options.scoreThresholds), classes)));
+    const [keptBoxes, keptScores, keptClasses] = await Promise.all([
+        tf.booleanMaskAsync(boxes, mask),
+        tf.booleanMaskAsync(scores, mask),
+        tf.booleanMaskAsync(classes, mask),
+    ]);
+    tf.dispose([boxes, scores, classes, mask]);
+    timings.decode = performance.now() - start;
+
+    if (keptScores.shape[0] === 0) {
+        tf.dispose([keptBoxes, keptScores, keptClasses]);
+        return { detections: [], timings };
+    }
+
+    // Class-aware NMS: shift each class into its own coordinate range so boxes
+    // of different classes can never overlap, then suppress in a single pass
+    start = performance.now();
+    const classOffset = 4 * Math.max(lb.dstWidth, lb.dstHeight);
+    const shifted = tf.tidy(() => keptBoxes.add(keptClasses.toFloat().mul(classOffset).expandDims(1)));
+    const { selectedIndices, selectedScores } = await tf.image.nonMaxSuppressionWithScoreAsync(
+        shifted,
+        keptScores,
+        options.maxDetections,
+        options.iouThreshold,
+        minScore
+    );
+    const selectedBoxes = tf.gather(keptBoxes, selectedIndices);
+    const selectedClasses = tf.gather(keptClasses, selectedIndices);
+    const [boxData, scoreData, classData] = await Promise.all([
+        selectedBoxes.data(),
+        selectedScores.data(),
+        selectedClasses.data(),
+    ]);
+    tf.dispose([keptBoxes, keptScores, keptClasses, shifted, selectedIndices, selectedScores, selectedBoxes, selectedClasses]);
+
+    const detections = [];
+    for (let i = 0; i < scoreData.length; i++) {
+        const [y1, x1, y2, x2] = boxData.subarray(i * 4, i * 4 + 4);
+        const bbox = projectBox([x1, y1, x2, y2], lb);
+        if (!bbox) continue;
+
+        const classId = classData[i];
+        detections.push({
+            bbox,
+            score: scoreData[i],
+            label: config.labels[classId] || `Class ${classId}`,
+            classId,
+        });
+    }
+    timings.nms = performance.now() - start;
+
+    return { detections, timings };
+}
+
+/**
+ * The previous decode path, kept as a debug baseline for decodePredictions: the whole
+ * output is downloaded and decoded per anchor in JS, then only NMS runs in TF.js.
+ * Same arguments and results (class-aware NMS, per-class thresholds), so timings can
+ * be compared like for like. The worker uses it when started with `?decode=js`.
+ */
+async function decodePredictionsJs(tf, output, lb, config, options) {
+    if (config.nms || config.end2end) {
+        return decodeEndToEnd(tf, output, lb, config, options);
+    }
+
+    const timings = { decode: 0, nms: 0 };
+    let start = performance.now();
+
+    const rows = output.squeeze([0]).transpose([1, 0]); // [anchors, 4 + numClasses]
+    const data = await rows.data();
+    const [numRows, numFeatures] = rows.shape;
+    rows.dispose();
+
+    const s = config.normalizedBoxes ? [lb.dstWidth, lb.dstHeight] : [1, 1];
+    const boxes = []; // [y1, x1, y2, x2] in input pixels, as tf.image NMS expects
+    const scores = [];
+    const classes = [];
+    for (let i = 0; i < numRows; i++) {
+        const offset = i * numFeatures;
+
+        // Best class for this anchor
+        let score = -1;
+        let classId = -1;
+        for (let c = 4; c < numFeatures; c++) {
+            if (data[offset + c] > score) {
+                score = data[offset + c];
+                classId = c - 4;
+            }
+        }
+        if (score < options.scoreThresholds[classId]) continue;
+
+        const cx = data[offset] * s[0];
+        const cy = data[offset + 1] * s[1];
+        const halfW = (data[offset + 2] * s[0]) / 2;
+        const halfH = (data[offset + 3] * s[1]) / 2;
+        boxes.push([cy - halfH, cx - halfW, cy + halfH, cx + halfW]);
+        scores.push(score);
+        classes.push(classId);
+    }
+    timings.decode = performance.now() - start;
+
+    if (scores.length === 0) return { detections: [], timings };
+
+    // Class-aware NMS, shifting each class into its own range as decodePredictions does
+    start = performance.now();
+    const classOffset = 4 * Math.max(lb.dstWidth, lb.dstHeight);
+    const shifted = tf.tensor2d(boxes.map((box, i) => box.map((v) => v + classes[i] * classOffset)));
+    const scoreTensor = tf.tensor1d(scores);
+    const indicesTensor = await tf.image.nonMaxSuppressionAsync(
+        shifted,
+        scoreTensor,
+        options.maxDetections,
+        options.iouThreshold,
+        Math.min(...options.scoreThresholds)
+    );
+    const indices = await indicesTensor.data();
+    tf.dispose([shifted, scoreTensor, indicesTensor]);
+
+    const detections = [];
+    for (const i of indices) {
+        const [y1, x1, y2, x2] = boxes[i];
+        const bbox = projectBox([x1, y1, x2, y2], lb);
+        if (!bbox) continue;
+
+        detections.push({
+            bbox,
+            score: scores[i],
+            label: config.labels[classes[i]] || `Class ${classes[i]}`,
+            classId: classes[i],
+        });
+    }
+    timings.nms = performance.now() - start;
+
+    return { detections, timings };
+}
+
+// NMS is baked into the model: rows are (x1, y1, x2, y2, score, classId), already suppressed
+async function decodeEndToEnd(tf, output, lb, config, options) {
+    const start = performance.now();
+    const rows = output.squeeze([0]);
+    const data = await rows.data();
+    const numRows = rows.shape[0];
+    rows.dispose();
+
+    const s = config.normalizedBoxes ? [lb.dstWidth, lb.dstHeight] : [1, 1];
+    const detections = [];
+    for (let i = 0; i < numRows && detections.length < options.maxDetections; i++) {
+        const offset = i * 6;
+        const score = data[offset + 4];
+        const classId = Math.round(data[offset + 5]);
+        const threshold = options.scoreThresholds[classId];
+        if (threshold === undefined || score < threshold) continue;
+
+        const bbox = projectBox(
+            [data[offset] * s[0], data[offset + 1] * s[1], data[offset + 2] * s[0], data[offset + 3] * s[1]],
+            lb
+        );
+        if (!bbox) continue;
+
+        detections.push({
+            bbox,
+            score,
+            label: config.labels[classId] || `Class ${classId}`,
+            classId,
+        });
+    }
+
+    return { detections, timings: { decode: performance.now() - start, nms: 0 } };
+}
+
+// ---------- Sliced Inference ----------
+/**
+ * Overlapping tiles covering an image (SAHI-style slicing). Tiles step by
+ * tileSize * (1 - overlap); the last row / column is pushed back to end at the
+ * image edge, so every tile is full-size unless the image itself is smaller.
+ * @returns {{ x: number, y: number, width: number, height: number }[]}
+ */
+function computeTiles(width, height, tileSize, overlap) {
+    const starts = (length) => {
+        if (length <= tileSize) return [0];
+        const step = Math.max(1, Math.floor(tileSize * (1 - overlap)));
+        const result = [];
+        for (let start = 0; start + tileSize < length; start += step) result.push(start);
+        result.push(length - tileSize);
+        return result;
+    };
+
+    const tiles = [];
+    for (const y of starts(height)) {
+        for (const x of starts(width)) {
+            tiles.push({ x, y, width: Math.min(tileSize, width), height: Math.min(tileSize, height) });
+        }
+    }
+    return tiles;
+}
+
+// Intersection over the smaller box: a hazard cut at a tile seam is a sliver
+// of the whole one, so plain IoU would keep both
+function intersectionOverSmaller(a, b) {
+    const w = Math.min(a[0] + a[2], b[0] + b[2]) - Math.max(a[0], b[0]);
+    const h = Math.min(a[1] + a[3], b[1] + b[3]) - Math.max(a[1], b[1]);
+    if (w <= 0 || h <= 0) return 0;
+    return (w * h) / Math.min(a[2] * a[3], b[2] * b[3]);
+}
+
+/**
+ * Combine detections from overlapping tiles and the full-frame pass (greedy
+ * non-maximum merging). Same-class boxes that overlap by at least
+ * `matchThreshold` of the smaller one become one box spanning both, with the
+ * higher score.
+ * @param {{ bbox: number[], score: number, classId: number }[]} detections - [x, y, w, h] in image pixels
+ * @param {{ matchThreshold: number, maxDetections: number }} options
+ */
+function mergeTiledDetections(detections, options) {
+    const merged = [];
+    const sorted = [...detections].sort((a, b) => b.score - a.score);
+
+    for (const det of sorted) {
+        const match = merged.find((kept) =>
+            kept.classId === det.classId && intersectionOverSmaller(kept.bbox, det.bbox) >= options.matchThreshold
+        );
+        if (!match) {
+            merged.push({ ...det, bbox: [...det.bbox] });
+            continue;
+        }
+        const [x1, y1] = [Math.min(match.bbox[0], det.bbox[0]), Math.min(match.bbox[1], det.bbox[1])];
+        const x2 = Math.max(match.bbox[0] + match.bbox[2], det.bbox[0] + det.bbox[2]);
+        const y2 = Math.max(match.bbox[1] + match.bbox[3], det.bbox[1] + det.bbox[3]);
+        match.bbox = [x1, y1, x2 - x1, y2 - y1];
+    }
+
+    return merged.slice(0, options.maxDetections);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseYaml,
+        buildModelConfig,
+        getModelVersion,
+        validateOutputShape,
+        computeLetterbox,
+        letterboxImage,
+        projectBox,
+        detectNormalizedBoxes,
+        decodePredictions,
+        decodePredictionsJs,
+        computeTiles,
+        mergeTiledDetections,
+    };
+}
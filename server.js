@@ -5,9 +5,20 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const PORT = process.env.PORT || 3000;
 
+// Self-hosted image storage (IMAGE_STORAGE=local): POST /api/images saves
+// into UPLOAD_DIR, and the files are served back under UPLOADS_ROUTE
+const UPLOADS_ROUTE = '/uploads/';
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const UPLOAD_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+};
+
 const MIME_TYPES = {
     '.html': 'text/html',
     '.css': 'text/css',
@@ -45,6 +56,114 @@ function loadEnv() {
     return env;
 }
 
+// Env var, then .env, then the default
+function getSetting(env, key, fallback = '') {
+    return process.env[key] || env[key] || fallback;
+}
+
+// 'cloudinary' | 'local'. /api/images takes unauthenticated uploads, so local
+// storage is only ever on when IMAGE_STORAGE=local is set explicitly
+function getImageStorage(env) {
+    return getSetting(env, 'IMAGE_STORAGE').toLowerCase() || 'cloudinary';
+}
+
+function getUploadDir(env) {
+    return path.resolve(__dirname, getSetting(env, 'IMAGE_UPLOAD_DIR', 'uploads'));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// ---------- Image Storage API ----------
+// Body is the image itself; ?filename= only flavours the stored name, which
+// is made unique here so uploads never overwrite each other
+function handleImageUpload(req, res, env) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const ext = UPLOAD_TYPES[contentType];
+    if (!ext) {
+        sendJson(res, 415, { error: `Unsupported image type: ${contentType || 'none'}` });
+        req.resume();
+        return;
+    }
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+        sendJson(res, 413, { error: 'Image too large' });
+        req.resume();
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', (chunk) => {
+        if (rejected) return;
+        size += chunk.length;
+        if (size > MAX_UPLOAD_BYTES) {
+            rejected = true;
+            sendJson(res, 413, { error: 'Image too large' });
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('error', () => { rejected = true; });
+    req.on('end', () => {
+        if (rejected) return;
+        if (size === 0) {
+            sendJson(res, 400, { error: 'Empty upload' });
+            return;
+        }
+
+        const requested = new URL(req.url, 'http://localhost').searchParams.get('filename') || 'image';
+        const stem = path.basename(requested, path.extname(requested)).replace(/[^\w-]+/g, '_').slice(0, 60);
+        const name = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${stem}${ext}`;
+        const uploadDir = getUploadDir(env);
+
+        fs.mkdir(uploadDir, { recursive: true }, (mkdirErr) => {
+            if (mkdirErr) {
+                console.error('[Server] Could not create upload directory:', mkdirErr);
+                sendJson(res, 500, { error: 'Could not store image' });
+                return;
+            }
+            fs.writeFile(path.join(uploadDir, name), Buffer.concat(chunks), (writeErr) => {
+                if (writeErr) {
+                    console.error('[Server] Could not store image:', writeErr);
+                    sendJson(res, 500, { error: 'Could not store image' });
+                    return;
+                }
+                sendJson(res, 201, { url: UPLOADS_ROUTE + name });
+            });
+        });
+    });
+}
+
+function serveUpload(filePath, res, env) {
+    // basename() keeps requests inside the upload directory
+    let name = '';
+    try {
+        name = path.basename(decodeURIComponent(filePath.slice(UPLOADS_ROUTE.length)));
+    } catch {
+        // Malformed escape: treated as not found
+    }
+    const contentType = MIME_TYPES[path.extname(name).toLowerCase()];
+    if (!name || !contentType) {
+        res.writeHead(404);
+        res.end('Not Found');
+        return;
+    }
+
+    fs.readFile(path.join(getUploadDir(env), name), (err, data) => {
+        if (err) {
+            res.writeHead(err.code === 'ENOENT' ? 404 : 500);
+            res.end(err.code === 'ENOENT' ? 'Not Found' : 'Server Error');
+            return;
+        }
+        // Stored names are unique, so the file never changes
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'public, max-age=31536000, immutable' });
+        res.end(data);
+    });
+}
+
 const server = http.createServer((req, res) => {
     // Remove query strings
     let filePath = req.url.split('?')[0];
@@ -53,15 +172,36 @@ const server = http.createServer((req, res) => {
     if (filePath === '/env.js') {
         const env = loadEnv();
         const config = {
-            GOOGLE_MAPS_API_KEY: process.env.GOOGLE_MAPS_API_KEY || env.GOOGLE_MAPS_API_KEY || '',
-            CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME || env.CLOUDINARY_CLOUD_NAME || '',
-            CLOUDINARY_UPLOAD_PRESET: process.env.CLOUDINARY_UPLOAD_PRESET || env.CLOUDINARY_UPLOAD_PRESET || '',
+            GOOGLE_MAPS_API_KEY: getSetting(env, 'GOOGLE_MAPS_API_KEY'),
+            CLOUDINARY_CLOUD_NAME: getSetting(env, 'CLOUDINARY_CLOUD_NAME'),
+            CLOUDINARY_UPLOAD_PRESET: getSetting(env, 'CLOUDINARY_UPLOAD_PRESET'),
+            IMAGE_STORAGE: getImageStorage(env),
         };
         res.writeHead(200, { 'Content-Type': 'application/javascript' });
         res.end(`window.ENV = ${JSON.stringify(config)};`);
         return;
     }
 
+    // Self-hosted image storage. Uploads are only accepted while it's the
+    // configured backend; stored images stay reachable after switching away
+    if (filePath === '/api/images') {
+        const env = loadEnv();
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } else if (getImageStorage(env) !== 'local') {
+            sendJson(res, 404, { error: 'Local image storage is disabled (IMAGE_STORAGE is not "local")' });
+            req.resume();
+        } else {
+            handleImageUpload(req, res, env);
+        }
+        return;
+    }
+    if (filePath.startsWith(UPLOADS_ROUTE)) {
+        serveUpload(filePath, res, loadEnv());
+        return;
+    }
+
     // Default to index.html
     if (filePath === '/') filePath = '/index.html';
 
@@ -71,7 +211,12 @@ const server = http.createServer((req, res) => {
 
     fs.readFile(fullPath, (err, data) => {
         if (err) {
-            if (err.code === 'ENOENT') {
+            if (err.code === 'ENOENT' && ext) {
+                // A missing file, not a route: a real 404, so e.g. the worker can
+                // tell that the optional privacy model isn't deployed
+                res.writeHead(404);
+                res.end('Not Found');
+            } else if (err.code === 'ENOENT') {
                 // SPA fallback: serve index.html for missing routes
                 fs.readFile(path.join(__dirname, 'index.html'), (err2, indexData) => {
                     if (err2) {
@@ -2,8 +2,22 @@
 // Service Worker - Road Hazard Detection PWA
 // ============================================
 
-const CACHE_VERSION = '5'; // Bump version to force cache update
+importScripts('/js/yolo.js'); // parseYaml + getModelVersion for the model cache
+
+const CACHE_VERSION = '39'; // Bump version to force cache update
 const CACHE_NAME = 'hazard-detect-v' + CACHE_VERSION;
+
+// Each model lives in its own cache named after the export version in its
+// metadata.yaml, so app releases and model releases update independently
+const MODEL_DIR = '/assets/model/';
+const HAZARD_MODEL = { name: 'Model', dir: MODEL_DIR, cachePrefix: 'hazard-model-' };
+// Face / plate model for the privacy filter; optional, released separately
+const PRIVACY_MODEL = { name: 'Privacy model', dir: MODEL_DIR + 'privacy/', cachePrefix: 'privacy-model-' };
+const MODEL_CACHE_PREFIXES = [HAZARD_MODEL.cachePrefix, PRIVACY_MODEL.cachePrefix];
+
+// Must match REPORT_SYNC_TAG in js/report-queue.js
+const REPORT_SYNC_TAG = 'report-queue';
+const REPLAY_TIMEOUT_MS = 2 * 60 * 1000;
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
@@ -22,8 +36,32 @@ const ASSETS_TO_CACHE = [
   '/js/dashboard.js',
   '/js/upload.js',
   '/js/worker.js',
+  '/js/detector-client.js',
+  '/js/yolo.js',
   '/js/live-detection.js',
+  '/js/hazard-tracker.js',
+  '/js/frame-scheduler.js',
+  '/js/position-track.js',
+  '/js/drive-session.js',
+  '/js/session-repository.js',
+  '/js/review-tray.js',
+  '/js/alert-policy.js',
+  '/js/audio-alerts.js',
+  '/js/video-analysis.js',
+  '/js/gps-track.js',
+  '/js/image-batch.js',
+  '/js/detection-overlay.js',
+  '/js/severity.js',
+  '/js/privacy-filter.js',
+  '/js/location-picker.js',
   '/js/settings.js',
+  '/js/report-queue.js',
+  '/js/report-repository.js',
+  '/js/geo.js',
+  '/js/image-storage.js',
+  '/js/cloudinary.js',
+  '/js/server-storage.js',
+  '/js/preferences.js',
   '/manifest.json'
 ];
 
@@ -39,16 +77,22 @@ self.addEventListener('install', (event) => {
   self.skipWaiting();
 });
 
-// Activate: Clean up old caches
+// Activate: Clean up old caches and make the model available offline
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((keys) => {
-      return Promise.all(
-        keys
-          .filter((key) => key !== CACHE_NAME)
-          .map((key) => caches.delete(key))
-      );
-    })
+    caches.keys()
+      .then((keys) => {
+        return Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME && !MODEL_CACHE_PREFIXES.some((prefix) => key.startsWith(prefix)))
+            .map((key) => caches.delete(key))
+        );
+      })
+      .then(() => precacheModel(HAZARD_MODEL))
+      .catch((err) => console.warn('[SW] Model precache failed:', err))
+      // The privacy model, so photos can still be anonymized offline
+      .then(() => precacheModel(PRIVACY_MODEL, { optional: true }))
+      .catch((err) => console.warn('[SW] Privacy model precache failed:', err))
   );
   self.clients.claim();
 });
@@ -58,18 +102,23 @@ self.addEventListener('fetch', (event) => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') return;
 
-  // Skip Firebase, Google API, and Model requests (always network)
+  // Skip Firebase and Google API requests (always network)
   const url = new URL(event.request.url);
   if (
     url.hostname.includes('googleapis.com') ||
     url.hostname.includes('firebaseio.com') ||
     url.hostname.includes('firestore.googleapis.com') ||
-    url.pathname.startsWith('/__/auth/') ||
-    url.pathname.includes('/assets/model/')
+    url.pathname.startsWith('/__/auth/')
   ) {
     return;
   }
 
+  // Model files: versioned model caches
+  if (url.origin === self.location.origin && url.pathname.startsWith(MODEL_DIR)) {
+    event.respondWith(handleModelRequest(event.request));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request).then((cachedResponse) => {
       if (cachedResponse) {
@@ -88,3 +137,111 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// ---------- Background Sync: Offline Report Queue ----------
+// Queued reports need the user's Firebase session, which lives in the page,
+// so the SW asks an open app window to replay the queue. With no window open
+// the sync ends quietly: the reports stay in IndexedDB and the next app window
+// uploads them on start. If reports remain after a replay, the sync fails and
+// the browser retries it later.
+self.addEventListener('sync', (event) => {
+  if (event.tag === REPORT_SYNC_TAG) {
+    event.waitUntil(replayReportQueue());
+  }
+});
+
+async function replayReportQueue() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) {
+    console.log('[SW] No open app window; queued reports wait for the next one');
+    return;
+  }
+
+  const { remaining, error } = await new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('Report replay timed out')), REPLAY_TIMEOUT_MS);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(e.data);
+    };
+    windows[0].postMessage({ type: 'replay-report-queue' }, [channel.port2]);
+  });
+
+  if (error) throw new Error(error);
+  if (remaining > 0) throw new Error(`${remaining} reports still queued`);
+  console.log('[SW] Report queue replayed');
+}
+
+// ---------- Model Cache ----------
+// metadata.yaml: network-first, so a retrained model is noticed as soon as we're online.
+// A new version gets a fresh cache and older caches of that model are evicted before
+// the response is returned, so model.json/shards can never be served from a stale version.
+// model.json + shards: cache-first from the model's current cache.
+async function handleModelRequest(request) {
+  const url = new URL(request.url);
+  const model = url.pathname.startsWith(PRIVACY_MODEL.dir) ? PRIVACY_MODEL : HAZARD_MODEL;
+  const metadataUrl = model.dir + 'metadata.yaml';
+
+  if (url.pathname === metadataUrl) {
+    try {
+      const networkResponse = await fetch(request, { cache: 'no-store' });
+      if (networkResponse.ok) {
+        const version = getModelVersion(parseYaml(await networkResponse.clone().text()));
+        const cache = await activateModelVersion(model, version);
+        await cache.put(metadataUrl, networkResponse.clone());
+      }
+      return networkResponse;
+    } catch (err) {
+      const cache = await currentModelCache(model);
+      const cached = cache && (await cache.match(metadataUrl));
+      if (cached) return cached;
+      throw err;
+    }
+  }
+
+  const cache = await currentModelCache(model);
+  const cached = cache && (await cache.match(request, { ignoreSearch: true }));
+  if (cached) return cached;
+
+  const networkResponse = await fetch(request);
+  if (networkResponse.ok && cache) {
+    await cache.put(url.pathname, networkResponse.clone());
+  }
+  return networkResponse;
+}
+
+async function currentModelCache(model) {
+  const keys = await caches.keys();
+  const name = keys.find((key) => key.startsWith(model.cachePrefix));
+  return name ? caches.open(name) : null;
+}
+
+// Open the model's cache for `version`, evicting every other version of it
+async function activateModelVersion(model, version) {
+  const cacheName = model.cachePrefix + version;
+  const keys = await caches.keys();
+  const stale = keys.filter((key) => key.startsWith(model.cachePrefix) && key !== cacheName);
+  if (stale.length > 0) {
+    console.log(`[SW] New ${model.name.toLowerCase()} version`, version, '- evicting', stale);
+    await Promise.all(stale.map((key) => caches.delete(key)));
+  }
+  return caches.open(cacheName);
+}
+
+// Fetch metadata, model.json and every weight shard into the model's cache.
+// An optional model may not be deployed at all (metadata.yaml is then a 404).
+async function precacheModel(model, { optional = false } = {}) {
+  const metadataResponse = await handleModelRequest(new Request(model.dir + 'metadata.yaml'));
+  if (optional && metadataResponse.status === 404) {
+    console.log(`[SW] No ${model.name.toLowerCase()} deployed; nothing to cache`);
+    return;
+  }
+  if (!metadataResponse.ok) throw new Error(`metadata.yaml: HTTP ${metadataResponse.status}`);
+  const modelResponse = await handleModelRequest(new Request(model.dir + 'model.json'));
+  if (!modelResponse.ok) throw new Error(`model.json: HTTP ${modelResponse.status}`);
+  const modelJson = await modelResponse.json();
+
+  const shardPaths = (modelJson.weightsManifest || []).flatMap((group) => group.paths);
+  await Promise.all(shardPaths.map((path) => handleModelRequest(new Request(model.dir + path))));
+  console.log(`[SW] ${model.name} cached for offline use:`, shardPaths.length, 'shards');
+}
@@ -0,0 +1,206 @@
+// ============================================
+// Hazard Tracker tests (node --test)
+// ============================================
+// Replays a hand-written detection sequence (test/fixtures) and seeded,
+// jittered sequences with dropped frames through HazardTracker.update and
+// checks what the live page relies on.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { HazardTracker, solveAssignment, calculateIoU } from '../js/hazard-tracker.js';
+
+const drive = JSON.parse(readFileSync(new URL('./fixtures/tracker-drive.json', import.meta.url), 'utf8'));
+
+// Every update's result, with tracks reduced to what the assertions need
+function replay(frames, options) {
+    const tracker = new HazardTracker(options);
+    return frames.map(({ t, detections }) => {
+        const result = tracker.update(detections, t);
+        const ids = (tracks) => tracks.map((track) => track.id);
+        return {
+            visible: result.tracks.map((track) => ({ id: track.id, label: track.label })),
+            confirmed: ids(result.confirmed),
+            completed: ids(result.completed),
+            alive: ids(tracker.tracks),
+        };
+    });
+}
+
+// ---------- Synthetic drive ----------
+test('keeps one ID per hazard while it moves down the frame', () => {
+    const steps = replay(drive.frames);
+    const idsOf = (label, from, to) => steps.slice(from, to)
+        .map((step) => step.visible.filter((t) => t.label === label).map((t) => t.id));
+
+    assert.deepEqual(idsOf('Pothole', 0, 5), [[1], [1], [1], [1], [1]]);
+    assert.deepEqual(idsOf('Pothole', 6, 8), [[1], [1]]);
+    assert.deepEqual(idsOf('Crack', 2, 5), [[2], [2], [2]]);
+});
+
+test('gives a new detection of the same class elsewhere its own ID', () => {
+    const steps = replay(drive.frames);
+    const frame5 = steps[5].visible.filter((t) => t.label === 'Pothole').map((t) => t.id);
+    assert.deepEqual(frame5.sort(), [1, 3]);
+});
+
+test('confirms a track once, on the update it reaches minHits', () => {
+    const steps = replay(drive.frames);
+    assert.deepEqual(steps.map((step) => step.confirmed), [
+        [], [1], [], [2], [], [], [], [], [], [], [], [], [], [],
+    ]);
+});
+
+test('confirms on the first sighting when minHits is 1', () => {
+    const steps = replay(drive.frames, { minHits: 1 });
+    assert.deepEqual(steps[0].confirmed, [1]);
+    assert.deepEqual(steps[5].confirmed, [3]);
+});
+
+test('completes confirmed tracks on their first miss, and never unconfirmed ones', () => {
+    const steps = replay(drive.frames);
+    const completed = steps.flatMap((step, frame) => step.completed.map((id) => ({ id, frame })));
+    assert.deepEqual(completed, [{ id: 2, frame: 5 }, { id: 1, frame: 8 }]);
+});
+
+test('drops a track after maxMisses updates without a match', () => {
+    const steps = replay(drive.frames);
+    const lastAlive = (id) => steps.reduce((last, step, frame) => (step.alive.includes(id) ? frame : last), -1);
+    // Last matched in frames 7, 4 and 5; gone on the 5th miss
+    assert.equal(lastAlive(1), 11);
+    assert.equal(lastAlive(2), 8);
+    assert.equal(lastAlive(3), 9);
+
+    const short = replay(drive.frames, { maxMisses: 2 });
+    assert.equal(short.reduce((last, step, frame) => (step.alive.includes(1) ? frame : last), -1), 8);
+});
+
+test('never matches across classes', () => {
+    const tracker = new HazardTracker();
+    tracker.update([{ label: 'Pothole', score: 0.9, bbox: [100, 100, 50, 50] }], 0);
+    const { tracks } = tracker.update([{ label: 'Crack', score: 0.9, bbox: [100, 100, 50, 50] }], 250);
+    assert.deepEqual(tracks.map((t) => t.id), [2]);
+});
+
+test('a reset starts IDs from 1 again', () => {
+    const tracker = new HazardTracker();
+    drive.frames.forEach(({ t, detections }) => tracker.update(detections, t));
+    tracker.reset();
+    const { tracks } = tracker.update(drive.frames[0].detections, 0);
+    assert.deepEqual(tracks.map((t) => t.id), [1]);
+});
+
+// ---------- Noisy sequences ----------
+// Deterministic PRNG (mulberry32) so the jitter is the same on every run
+function seeded(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Boxes of a hazard approaching down the frame, speeding up and growing as
+// it nears the car, with +-noise jitter per coordinate; null for dropped frames
+function approach(rand, frames, { x, y, w, h, drift = 0, speed = 12, accel = 1.3, growth = 1.1, noise = 0.06, drop = [] }) {
+    const boxes = [];
+    for (let i = 0; i < frames; i++) {
+        const jitter = (value, size) => Math.round((value + (rand() * 2 - 1) * noise * size) * 10) / 10;
+        boxes.push(drop.includes(i) ? null : [jitter(x, w), jitter(y, h), jitter(w, w), jitter(h, h)]);
+        y += speed;
+        speed *= accel;
+        x += drift * w;
+        w *= growth;
+        h *= growth;
+    }
+    return boxes;
+}
+
+// Center distance in diagonals of `from`, as the tracker's gating measures it
+function centerDistance(from, to) {
+    const dx = (to[0] + to[2] / 2) - (from[0] + from[2] / 2);
+    const dy = (to[1] + to[3] / 2) - (from[1] + from[3] / 2);
+    return Math.hypot(dx, dy) / Math.hypot(from[2], from[3]);
+}
+
+test('follows an accelerating hazard across missed frames on the predicted position', () => {
+    const boxes = approach(seeded(7), 11, { x: 600, y: 150, w: 44, h: 28, speed: 14, accel: 1.28, drop: [5, 6, 9] });
+    // Across each gap the raw boxes neither overlap nor fall within
+    // maxCenterDistance, so only the Kalman prediction can bridge them
+    for (const [from, to] of [[4, 7], [8, 10]]) {
+        assert.equal(calculateIoU(boxes[from], boxes[to]), 0);
+        assert.ok(centerDistance(boxes[from], boxes[to]) > 1);
+    }
+
+    const steps = replay(boxes.map((bbox, i) => ({
+        t: i * 250,
+        detections: bbox ? [{ label: 'Pothole', score: 0.6, bbox }] : [],
+    })));
+    boxes.forEach((bbox, i) => {
+        assert.deepEqual(steps[i].visible.map((t) => t.id), bbox ? [1] : [], `frame ${i}`);
+    });
+    assert.deepEqual(steps.flatMap((step) => step.confirmed), [1]);
+});
+
+test('keeps IDs on two overlapping hazards of the same class through dropouts and clutter', () => {
+    const rand = seeded(42);
+    const left = approach(rand, 10, { x: 520, y: 200, w: 50, h: 32, drift: -0.12, drop: [4] });
+    const right = approach(rand, 10, { x: 548, y: 204, w: 50, h: 32, drift: 0.05, drop: [6] });
+    assert.ok(calculateIoU(left[0], right[0]) > 0.3);
+
+    const frames = left.map((_, i) => {
+        const detections = [];
+        if (left[i]) detections.push({ label: 'Pothole', score: 0.6, bbox: left[i] });
+        if (right[i]) detections.push({ label: 'Pothole', score: 0.6, bbox: right[i] });
+        // One-frame false positive elsewhere in the frame
+        if (i === 3) detections.push({ label: 'Pothole', score: 0.47, bbox: [900, 420, 30, 22] });
+        // The worker gives no ordering guarantee
+        if (i % 2) detections.reverse();
+        return { t: i * 250, detections };
+    });
+
+    const tracker = new HazardTracker();
+    const confirmed = [];
+    frames.forEach(({ t, detections }, i) => {
+        const result = tracker.update(detections, t);
+        confirmed.push(...result.confirmed.map((track) => track.id));
+        const byX = result.tracks
+            .filter((track) => track.id !== 3)
+            .sort((a, b) => a.bbox[0] - b.bbox[0])
+            .map((track) => track.id);
+        const expected = [left[i] && 1, right[i] && 2].filter(Boolean);
+        assert.deepEqual(byX, expected, `frame ${i}`);
+    });
+    assert.deepEqual(confirmed, [1, 2]);
+});
+
+// ---------- Assignment ----------
+test('solveAssignment finds the minimum-cost assignment of a known matrix', () => {
+    // Greedy row by row takes (0, 0) first and ends at 1 + 8 + 7 = 16; the optimum is 2 + 1 + 1
+    const cost = [
+        [1, 2, 8],
+        [1, 9, 8],
+        [9, 7, 1],
+    ];
+    const assignment = solveAssignment(cost);
+    assert.deepEqual(assignment, [1, 0, 2]);
+    assert.equal(assignment.reduce((sum, col, row) => sum + cost[row][col], 0), 4);
+});
+
+test('solveAssignment handles more rows or more columns', () => {
+    assert.deepEqual(solveAssignment([[9, 1, 8, 7]]), [1]);
+    assert.deepEqual(solveAssignment([[5], [1], [3]]), [-1, 0, -1]);
+    assert.deepEqual(solveAssignment([[3, 2], [1, 9], [5, 1]]), [-1, 0, 1]);
+});
+
+test('solveAssignment returns no match for empty input', () => {
+    assert.deepEqual(solveAssignment([]), []);
+    assert.deepEqual(solveAssignment([[], []]), [-1, -1]);
+});
+
+test('calculateIoU', () => {
+    assert.equal(calculateIoU([0, 0, 10, 10], [0, 0, 10, 10]), 1);
+    assert.equal(calculateIoU([0, 0, 10, 10], [20, 20, 5, 5]), 0);
+    assert.equal(calculateIoU([0, 0, 10, 10], [5, 0, 10, 10]), 50 / 150);
+});
@@ -0,0 +1,107 @@
+// ============================================
+// Severity tests (node --test)
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateSeverity, compareSeverity, SEVERITY_LEVELS } from '../js/severity.js';
+
+// Normalized [x, y, w, h] box
+const det = (bbox, score = 0.6, label = 'Pothole') => ({ label, score, bbox });
+
+// Only one factor counts, so its value is the score
+const only = (factor) => ({ weights: { area: 0, confidence: 0, cluster: 0, persistence: 0, [factor]: 1 } });
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('no detections -> null', () => {
+    assert.equal(estimateSeverity({ detections: [] }), null);
+    assert.equal(estimateSeverity({ detections: undefined }), null);
+    assert.equal(estimateSeverity({}), null);
+});
+
+// ---------- Factors ----------
+test('area: share of the frame covered by the largest box, full at 12%', () => {
+    close(estimateSeverity({ detections: [det([0, 0, 0.2, 0.3])] }).factors.area, 0.5);
+    close(estimateSeverity({ detections: [det([0, 0, 0.5, 0.5])] }).factors.area, 1);
+    close(estimateSeverity({ detections: [det([0, 0, 0.1, 0.1]), det([0.5, 0.5, 0.2, 0.3])] }).factors.area, 0.5);
+});
+
+test('confidence: the largest box\'s score scaled from 0.3 to 0.9', () => {
+    const confidence = (score) => estimateSeverity({ detections: [det([0, 0, 0.1, 0.1], score)] }).factors.confidence;
+    close(confidence(0.2), 0);
+    close(confidence(0.3), 0);
+    close(confidence(0.6), 0.5);
+    close(confidence(0.95), 1);
+
+    // A small confident box doesn't lend its score to the larger one
+    const mixed = estimateSeverity({ detections: [det([0, 0, 0.05, 0.05], 0.9), det([0.5, 0.5, 0.2, 0.2], 0.45)] });
+    close(mixed.factors.confidence, 0.25);
+});
+
+test('cluster: neighbouring boxes around the largest one, full at 4 boxes', () => {
+    const main = det([0.4, 0.4, 0.2, 0.2]);
+    const near = (dx) => det([0.45 + dx, 0.45, 0.05, 0.05]);
+    const far = det([0.9, 0.9, 0.05, 0.05]);
+
+    close(estimateSeverity({ detections: [main] }).factors.cluster, 0);
+    close(estimateSeverity({ detections: [main, near(0), far] }).factors.cluster, 1 / 3);
+    close(estimateSeverity({ detections: [main, near(0), near(0.02), near(-0.02)] }).factors.cluster, 1);
+    close(estimateSeverity({ detections: [main, near(0), near(0.02), near(-0.02), near(0.04)] }).factors.cluster, 1);
+});
+
+test('persistence: tracked frames, full at 10; null without hits', () => {
+    const persistence = (hits) => estimateSeverity({ detections: [det([0, 0, 0.1, 0.1])], hits }).factors.persistence;
+    assert.equal(persistence(undefined), null);
+    assert.equal(persistence(null), null);
+    close(persistence(1), 0);
+    close(persistence(4), 1 / 3);
+    close(persistence(25), 1);
+});
+
+// ---------- Weighting ----------
+test('without hits, persistence is left out of the weighted mean', () => {
+    // area 0.5, confidence 0.5, cluster 0
+    const detections = [det([0, 0, 0.2, 0.3], 0.6)];
+    const untracked = estimateSeverity({ detections });
+    assert.equal(untracked.score, Math.round(((0.45 * 0.5 + 0.2 * 0.5) / 0.85) * 100) / 100);
+
+    const tracked = estimateSeverity({ detections, hits: 10 });
+    assert.equal(tracked.score, Math.round((0.45 * 0.5 + 0.2 * 0.5 + 0.15) * 100) / 100);
+
+    const brief = estimateSeverity({ detections, hits: 1 });
+    assert.ok(brief.score < untracked.score);
+});
+
+test('custom weights are merged with the defaults', () => {
+    const result = estimateSeverity({ detections: [det([0, 0, 0.2, 0.3], 0.9)] }, only('confidence'));
+    assert.equal(result.score, 1);
+    assert.equal(result.level, 'high');
+});
+
+// ---------- Levels ----------
+test('buckets the score at the medium (0.35) and high (0.6) thresholds', () => {
+    // fullArea 1: the area factor is the box area itself
+    const level = (w, h) => estimateSeverity({ detections: [det([0, 0, w, h])] }, { ...only('area'), fullArea: 1 }).level;
+    assert.equal(level(0.5, 0.69), 'low');
+    assert.equal(level(0.5, 0.7), 'medium');
+    assert.equal(level(0.5, 1.19), 'medium');
+    assert.equal(level(0.5, 1.2), 'high');
+});
+
+test('thresholds can be overridden', () => {
+    const options = { ...only('area'), thresholds: { high: 0.4 } };
+    assert.equal(estimateSeverity({ detections: [det([0, 0, 0.2, 0.3])] }, options).level, 'high');
+});
+
+test('level is one of SEVERITY_LEVELS', () => {
+    const { level } = estimateSeverity({ detections: [det([0.1, 0.1, 0.1, 0.1], 0.5)], hits: 3 });
+    assert.ok(SEVERITY_LEVELS.includes(level));
+});
+
+// ---------- Sorting ----------
+test('compareSeverity sorts high first and unknown levels last', () => {
+    const sorted = ['low', null, 'high', 'bogus', 'medium', undefined, 'high'].sort(compareSeverity);
+    assert.deepEqual(sorted.slice(0, 4), ['high', 'high', 'medium', 'low']);
+    assert.deepEqual(new Set(sorted.slice(4)), new Set([null, 'bogus', undefined]));
+});
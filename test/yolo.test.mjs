@@ -0,0 +1,235 @@
+// ============================================
+// YOLO helper tests (node --test, TF.js on the CPU backend)
+// ============================================
+// Synthetic output tensors, no browser and no model files.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+// Same release the worker loads; its pure-JS CPU backend runs anywhere
+import * as tf from '@tensorflow/tfjs';
+import yolo from '../js/yolo.js';
+
+const {
+    buildModelConfig, computeLetterbox, letterboxImage, projectBox, detectNormalizedBoxes, decodePredictions, decodePredictionsJs,
+} = yolo;
+
+const LABELS = ['Pothole', 'Crack'];
+const rawConfig = { labels: LABELS, nms: false, end2end: false, normalizedBoxes: false };
+const endToEndConfig = { labels: LABELS, nms: true, end2end: false, normalizedBoxes: false };
+
+// 1280x720 frame into a 640x640 input: half size, 140 px bars top and bottom
+const LANDSCAPE = computeLetterbox(1280, 720, 640, 640);
+
+before(async () => {
+    await tf.setBackend('cpu');
+});
+
+// Raw head [1, 4 + classes, anchors] from rows of (cx, cy, w, h, class scores...)
+function rawHead(anchors) {
+    return tf.tidy(() => tf.tensor2d(anchors).transpose().expandDims(0));
+}
+
+function closeTo(actual, expected, epsilon = 1e-3) {
+    assert.equal(actual.length, expected.length, `${JSON.stringify(actual)} vs ${JSON.stringify(expected)}`);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) < epsilon, `${JSON.stringify(actual)} vs ${JSON.stringify(expected)}`);
+    });
+}
+
+async function decode(output, config, scoreThresholds, { iouThreshold = 0.5, maxDetections = 20, lb = LANDSCAPE } = {}) {
+    try {
+        return (await decodePredictions(tf, output, lb, config, { scoreThresholds, iouThreshold, maxDetections })).detections;
+    } finally {
+        output.dispose();
+    }
+}
+
+// ---------- Letterbox ----------
+test('computeLetterbox fits and centres a landscape frame', () => {
+    assert.deepEqual(LANDSCAPE, {
+        scale: 0.5, width: 640, height: 360, padX: 0, padY: 140,
+        srcWidth: 1280, srcHeight: 720, dstWidth: 640, dstHeight: 640,
+    });
+});
+
+test('computeLetterbox pads the sides of a portrait frame', () => {
+    const lb = computeLetterbox(720, 1280, 640, 640);
+    assert.equal(lb.scale, 0.5);
+    assert.deepEqual([lb.width, lb.height, lb.padX, lb.padY], [360, 640, 140, 0]);
+});
+
+test('computeLetterbox handles non-square inputs and odd padding', () => {
+    const wide = computeLetterbox(1000, 1000, 640, 480);
+    assert.deepEqual([wide.scale, wide.width, wide.height, wide.padX, wide.padY], [0.48, 480, 480, 80, 0]);
+
+    // 63.36 rows round to 63; the odd pixel of padding goes to the bottom
+    const odd = computeLetterbox(100, 99, 64, 64);
+    assert.deepEqual([odd.width, odd.height, odd.padX, odd.padY], [64, 63, 0, 0]);
+});
+
+test('letterboxImage resizes, pads with grey 114 and scales to 0-1', async () => {
+    const image = tf.fill([2, 4, 3], 255);
+    const lb = computeLetterbox(4, 2, 4, 4);
+    const input = letterboxImage(tf, image, lb);
+    assert.deepEqual(input.shape, [1, 4, 4, 3]);
+
+    const rows = (await input.array())[0].map((row) => row[0][0]);
+    closeTo(rows, [114 / 255, 1, 1, 114 / 255]);
+    tf.dispose([image, input]);
+});
+
+// ---------- Back-projection ----------
+test('projectBox maps input pixels back to the original frame', () => {
+    closeTo(projectBox([100, 240, 300, 340], LANDSCAPE), [200, 200, 400, 200]);
+});
+
+test('projectBox clips to the frame and drops boxes inside the padding', () => {
+    closeTo(projectBox([-20, 100, 50, 200], LANDSCAPE), [0, 0, 100, 120]);
+    closeTo(projectBox([600, 480, 700, 560], LANDSCAPE), [1200, 680, 80, 40]);
+    assert.equal(projectBox([10, 20, 100, 130], LANDSCAPE), null);
+});
+
+// ---------- Raw head decoding ----------
+test('decodes raw heads into original pixels', async () => {
+    const detections = await decode(rawHead([[200, 300, 100, 60, 0.9, 0.1]]), rawConfig, [0.5, 0.5]);
+    assert.equal(detections.length, 1);
+    assert.equal(detections[0].label, 'Pothole');
+    assert.equal(detections[0].classId, 0);
+    closeTo([detections[0].score], [0.9]);
+    // (150, 270)-(250, 330) in the input -> (300, 260) 200x120 in the frame
+    closeTo(detections[0].bbox, [300, 260, 200, 120]);
+});
+
+test('scales normalized coordinates by the input size', async () => {
+    const anchors = [[200 / 640, 300 / 640, 100 / 640, 60 / 640, 0.9, 0.1]];
+    const detections = await decode(rawHead(anchors), { ...rawConfig, normalizedBoxes: true }, [0.5, 0.5]);
+    closeTo(detections[0].bbox, [300, 260, 200, 120]);
+});
+
+test('NMS is class-aware: overlapping boxes of different classes both survive', async () => {
+    const anchors = [
+        [200, 300, 100, 60, 0.9, 0.1], // Pothole
+        [205, 302, 100, 60, 0.8, 0.05], // Same pothole, lower score: suppressed
+        [200, 300, 100, 60, 0.2, 0.7], // Crack in the same place: kept
+    ];
+    const detections = await decode(rawHead(anchors), rawConfig, [0.5, 0.5]);
+    assert.deepEqual(detections.map((d) => d.label), ['Pothole', 'Crack']);
+    closeTo(detections.map((d) => d.score), [0.9, 0.7]);
+});
+
+test('NMS keeps same-class boxes that overlap less than the IoU threshold', async () => {
+    const anchors = [
+        [200, 300, 100, 60, 0.9, 0], // x 150-250
+        [270, 300, 100, 60, 0.8, 0], // x 220-320: IoU 30/170
+    ];
+    assert.equal((await decode(rawHead(anchors), rawConfig, [0.5, 0.5])).length, 2);
+    assert.equal((await decode(rawHead(anchors), rawConfig, [0.5, 0.5], { iouThreshold: 0.15 })).length, 1);
+});
+
+test('applies a score threshold per class', async () => {
+    const anchors = [
+        [100, 200, 40, 40, 0.45, 0], // Pothole 0.45
+        [400, 400, 40, 40, 0, 0.35], // Crack 0.35
+    ];
+    const labels = async (thresholds) => (await decode(rawHead(anchors), rawConfig, thresholds)).map((d) => d.label);
+
+    assert.deepEqual(await labels([0.5, 0.5]), []);
+    assert.deepEqual(await labels([0.4, 0.5]), ['Pothole']);
+    assert.deepEqual(await labels([0.5, 0.3]), ['Crack']);
+    assert.deepEqual(await labels([0.4, 0.3]), ['Pothole', 'Crack']);
+});
+
+test('caps the number of detections, highest scores first', async () => {
+    const anchors = [0.6, 0.9, 0.7, 0.8].map((score, i) => [50 + i * 100, 320, 40, 40, score, 0]);
+    const detections = await decode(rawHead(anchors), rawConfig, [0.5, 0.5], { maxDetections: 2 });
+    closeTo(detections.map((d) => d.score), [0.9, 0.8]);
+});
+
+test('drops boxes that project entirely into the letterbox padding', async () => {
+    const detections = await decode(rawHead([[320, 60, 40, 40, 0.9, 0]]), rawConfig, [0.5, 0.5]);
+    assert.deepEqual(detections, []);
+});
+
+test('the JS-side debug decode matches the tensor-side one', async () => {
+    const anchors = [
+        [200, 300, 100, 60, 0.9, 0.1],
+        [205, 302, 100, 60, 0.8, 0.05],
+        [200, 300, 100, 60, 0.2, 0.7],
+        [270, 300, 100, 60, 0.6, 0],
+        [100, 200, 40, 40, 0.45, 0],
+        [320, 60, 40, 40, 0.9, 0], // In the padding
+    ];
+    const options = { scoreThresholds: [0.4, 0.5], iouThreshold: 0.5, maxDetections: 20 };
+    const run = async (decoder) => {
+        const output = rawHead(anchors);
+        try {
+            return (await decoder(tf, output, LANDSCAPE, rawConfig, options)).detections;
+        } finally {
+            output.dispose();
+        }
+    };
+
+    const tensorSide = await run(decodePredictions);
+    const jsSide = await run(decodePredictionsJs);
+    assert.equal(jsSide.length, tensorSide.length);
+    jsSide.forEach((det, i) => {
+        assert.equal(det.label, tensorSide[i].label);
+        closeTo([det.score, ...det.bbox], [tensorSide[i].score, ...tensorSide[i].bbox]);
+    });
+});
+
+// ---------- Box format ----------
+test('buildModelConfig reads the box format from the metadata or export format', () => {
+    const meta = { names: { 0: 'pothole' }, imgsz: [640, 640] };
+    assert.equal(buildModelConfig(meta).normalizedBoxes, null);
+    assert.equal(buildModelConfig({ ...meta, normalized_boxes: true }).normalizedBoxes, true);
+    assert.equal(buildModelConfig({ ...meta, args: { normalized_boxes: false } }).normalizedBoxes, false);
+    assert.equal(buildModelConfig({ ...meta, args: { format: 'tflite' } }).normalizedBoxes, true);
+    assert.equal(buildModelConfig({ ...meta, args: { format: 'tfjs' } }).normalizedBoxes, false);
+});
+
+test('detectNormalizedBoxes judges only rows above the minimum score', async () => {
+    const check = async (anchors, minScore, config = rawConfig) => {
+        const output = rawHead(anchors);
+        try {
+            return await detectNormalizedBoxes(tf, output, config, minScore);
+        } finally {
+            output.dispose();
+        }
+    };
+
+    // An empty frame (all zeros, like a warm-up input) says nothing
+    assert.equal(await check([[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0]], 0.25), null);
+    // A low-scoring pixel-sized box doesn't outvote the confident normalized one
+    assert.equal(await check([[200, 300, 100, 60, 0.1, 0], [0.3, 0.5, 0.1, 0.1, 0.8, 0]], 0.25), true);
+    assert.equal(await check([[200, 300, 100, 60, 0.1, 0.6]], 0.25), false);
+
+    const rows = tf.tensor3d([[[150, 270, 250, 330, 0.9, 0], [0, 0, 0, 0, 0, 0]]]);
+    assert.equal(await detectNormalizedBoxes(tf, rows, endToEndConfig, 0.25), false);
+    rows.dispose();
+});
+
+// ---------- End-to-end (NMS) exports ----------
+test('decodes end-to-end rows with per-class thresholds', async () => {
+    const rows = tf.tensor3d([[
+        [150, 270, 250, 330, 0.9, 0],
+        [300, 300, 340, 320, 0.35, 1],
+        [0, 0, 0, 0, 0, 0], // Zero padding after the last detection
+    ]]);
+    const detections = await decode(rows, endToEndConfig, [0.5, 0.3]);
+    assert.deepEqual(detections.map((d) => d.label), ['Pothole', 'Crack']);
+    closeTo(detections[0].bbox, [300, 260, 200, 120]);
+    closeTo(detections[1].bbox, [600, 320, 80, 40]);
+});
+
+test('end-to-end rows with an unknown class are skipped', async () => {
+    const rows = tf.tensor3d([[[150, 270, 250, 330, 0.9, 5]]]);
+    assert.deepEqual(await decode(rows, endToEndConfig, [0.5, 0.5]), []);
+});
+
+test('decoding leaves no tensors behind', async () => {
+    const before = tf.memory().numTensors;
+    await decode(rawHead([[200, 300, 100, 60, 0.9, 0.1], [205, 302, 100, 60, 0.8, 0.05]]), rawConfig, [0.5, 0.5]);
+    await decode(rawHead([[200, 300, 100, 60, 0.1, 0.1]]), rawConfig, [0.5, 0.5]);
+    assert.equal(tf.memory().numTensors, before);
+});